@@ -0,0 +1,540 @@
+// Reference copy of src/logic/optimizer.js from before the BitGrid, for bench/visited-grid.js
+import { CONFIG } from "../../src/logic/config.js";
+import { cellBounds, cellToTile } from "../../src/logic/tile-math.js";
+import { resolveScoringWeights } from "../../src/logic/scoring-profiles.js";
+import { findHoles } from "./visited-analysis.js";
+
+
+/**
+ * Calculate layer distance from Übersquadrat border
+ * Returns {distI, distJ, total} where total is Chebyshev distance (max, not sum)
+ * This ensures corners are in the same layer as edges, forming complete rings
+ */
+function calculateLayerDistance(i, j, base) {
+  const distI = Math.max(0, Math.max(base.minI - i - 1, i - base.maxI - 1));
+  const distJ = Math.max(0, Math.max(base.minJ - j - 1, j - base.maxJ - 1));
+  return { distI, distJ, total: Math.max(distI, distJ) };
+}
+
+/**
+ * Get search area bounds around Übersquadrat
+ * @param {number} radius - Number of layers to search (default: 5)
+ */
+function getSearchBounds(base, radius = CONFIG.SEARCH_RADIUS) {
+  return {
+    minI: base.minI - radius,
+    maxI: base.maxI + radius,
+    minJ: base.minJ - radius,
+    maxJ: base.maxJ + radius
+  };
+}
+
+
+function getNeighborKeys(i, j) {
+  return [[i - 1, j], [i + 1, j], [i, j - 1], [i, j + 1]].map(([ni, nj]) => `${ni},${nj}`);
+}
+
+
+function isOnUbersquadratBorder(i, j, base) {
+  return (
+    (i === base.maxI + 1 && j >= base.minJ - 1 && j <= base.maxJ + 1) ||
+    (i === base.minI - 1 && j >= base.minJ - 1 && j <= base.maxJ + 1) ||
+    (j === base.maxJ + 1 && i >= base.minI - 1 && i <= base.maxI + 1) ||
+    (j === base.minJ - 1 && i >= base.minI - 1 && i <= base.maxI + 1)
+  );
+}
+
+// ===== EDGE ANALYSIS =====
+
+/**
+ * Analyze a single edge (N, S, E, or W) of the Übersquadrat
+ * Returns edge completion statistics
+ */
+function analyzeEdge(name, fixedCoord, start, end, type, visitedSet) {
+  const squares = [];
+  let unvisitedCount = 0;
+
+  for (let k = start; k <= end; k++) {
+    const [i, j] = type === 'row' ? [fixedCoord, k] : [k, fixedCoord];
+    const key = `${i},${j}`;
+    const visited = visitedSet.has(key);
+
+    squares.push({ i, j, key, visited });
+    if (!visited) unvisitedCount++;
+  }
+
+  const total = end - start + 1;
+  const visitedCount = total - unvisitedCount;
+  const completion = (visitedCount / total) * 100;
+
+  return {
+    name,
+    squares,
+    total,
+    unvisitedCount,
+    visitedCount,
+    completion,
+    canExpand: unvisitedCount === 0
+  };
+}
+
+/**
+ * Analyze all four edges around the Übersquadrat
+ * @param {Object} base - Übersquadrat bounds {minI, maxI, minJ, maxJ}
+ * @param {Set} visitedSet - Set of "i,j" visited squares
+ * @returns {Object} Edge statistics keyed by 'N', 'S', 'E', 'W'
+ */
+export function analyzeEdges(base, visitedSet) {
+  const edges = {
+    N: analyzeEdge('N', base.maxI + 1, base.minJ, base.maxJ, 'row', visitedSet),
+    S: analyzeEdge('S', base.minI - 1, base.minJ, base.maxJ, 'row', visitedSet),
+    E: analyzeEdge('E', base.maxJ + 1, base.minI, base.maxI, 'col', visitedSet),
+    W: analyzeEdge('W', base.minJ - 1, base.minI, base.maxI, 'col', visitedSet)
+  };
+
+  return edges;
+}
+
+
+/**
+ * Holes of the visited area small enough to be worth filling
+ * Holes are found by enclosure over the whole visited cluster (see findHoles),
+ * not only near the Übersquadrat.
+ * @param {Object} base - Übersquadrat bounds {minI, maxI, minJ, maxJ}
+ * @param {Set} visitedSet - Set of "i,j" visited squares
+ * @param {number} maxHoleSize - Maximum hole size to keep (1-20)
+ * @returns {Array} Array of hole objects {id, squares, size, avgLayer}
+ */
+function detectHoles(base, visitedSet, maxHoleSize) {
+  return findHoles(visitedSet)
+    .filter(hole => hole.size <= maxHoleSize)
+    .map(hole => {
+      const totalLayerDist = hole.squares.reduce(
+        (sum, sq) => sum + calculateLayerDistance(sq.i, sq.j, base).total,
+        0
+      );
+      return { ...hole, avgLayer: totalLayerDist / hole.size };
+    });
+}
+
+/**
+ * Build map of square keys to their containing holes
+ * @param {Array} holes - Array of hole objects
+ * @returns {Map} Map of "i,j" → hole object
+ */
+function buildHoleMap(holes) {
+  const squareToHoleMap = new Map();
+  holes.forEach(hole => {
+    hole.squares.forEach(sq => {
+      squareToHoleMap.set(sq.key, hole);
+    });
+  });
+  return squareToHoleMap;
+}
+
+/**
+ * Score all unvisited squares around the Übersquadrat
+ *
+ * @param {Object} base - Übersquadrat bounds {minI, maxI, minJ, maxJ}
+ * @param {Array} direction - Selected directions ['N', 'S', 'E', 'W']
+ * @param {Set} visitedSet - Set of "i,j" visited squares
+ * @param {Object} gridParams - Grid parameters {zoom, originX, originY}
+ * @param {string|Object} optimizationMode - Preset 'balanced', 'edge' or 'holes', or scoring weights (see scoring-profiles.js)
+ * @param {number} maxHoleSize - Maximum hole size to consider (1-10)
+ * @param {Set|null} excludedSet - Set of "i,j" unreachable squares (exclusion zones), never proposed
+ * @param {number} searchRadius - Layers around the Übersquadrat scanned for candidates; squares of
+ *                                holes are candidates wherever the hole lies
+ * @returns {Array} Scored candidates {i, j, key, edge, tile, score, scoreBreakdown, layerDistance, hole}, best first
+ */
+export function scoreCandidates(
+  base,
+  direction,
+  visitedSet,
+  gridParams,
+  optimizationMode = 'balanced',
+  maxHoleSize = 5,
+  excludedSet = null,
+  searchRadius = CONFIG.SEARCH_RADIUS
+) {
+  const weights = resolveScoringWeights(optimizationMode);
+
+  //  PHASE 1: EDGE ANALYSIS 
+  const edges = analyzeEdges(base, visitedSet);
+
+  //  PHASE 2: HOLE DETECTION 
+  const holes = detectHoles(base, visitedSet, maxHoleSize);
+  const squareToHoleMap = buildHoleMap(holes);
+
+  //  PHASE 3: FIND ALL PERIMETER SQUARES (AND HOLES FURTHER OUT) 
+  function findPerimeterSquares() {
+    const candidates = new Map();
+    const bounds = getSearchBounds(base, searchRadius);
+
+    function addCandidate(i, j, key) {
+      if (visitedSet.has(key)) return;
+      if (excludedSet && excludedSet.has(key)) return;
+
+      const positions = {
+        N: i > base.maxI,
+        S: i < base.minI,
+        E: j > base.maxJ,
+        W: j < base.minJ
+      };
+
+      const edge = Object.keys(positions).filter(k => positions[k]).join('');
+
+      candidates.set(key, { i, j, edge, key, tile: cellToTile(i, j, gridParams) });
+    }
+
+    for (let i = bounds.minI; i <= bounds.maxI; i++) {
+      for (let j = bounds.minJ; j <= bounds.maxJ; j++) {
+        addCandidate(i, j, `${i},${j}`);
+      }
+    }
+
+    holes.forEach(hole => {
+      hole.squares.forEach(sq => {
+        if (!candidates.has(sq.key)) addCandidate(sq.i, sq.j, sq.key);
+      });
+    });
+
+    return Array.from(candidates.values());
+  }
+
+  const allCandidates = findPerimeterSquares();
+  const unvisited = allCandidates.filter(c => !visitedSet.has(`${c.i},${c.j}`));
+
+  //  PHASE 4: STRATEGIC SCORING 
+  const scored = unvisited.map(square => {
+    let score = weights.base;
+
+    const scoreBreakdown = {
+      base: weights.base,
+      layerScore: 0,
+      edgeBonus: 0,
+      holeBonus: 0,
+      adjacencyBonus: 0
+    };
+
+    const isBorder = isOnUbersquadratBorder(square.i, square.j, base);
+    const layerDistance = isBorder ? 0 : calculateLayerDistance(square.i, square.j, base).total;
+
+    const layerScores = weights.layerScores;
+    scoreBreakdown.layerScore = layerScores[Math.min(layerDistance, layerScores.length - 1)];
+
+    // === EDGE COMPLETION MODE ===
+    const maxEdgeCompletion = ['N', 'S', 'E', 'W']
+      .filter(dir => square.edge.includes(dir))
+      .reduce((max, dir) => Math.max(max, edges[dir].completion), 0);
+    let edgeBonusRaw = Math.floor(maxEdgeCompletion * weights.edgeCompletionFactor);  // default max 3,000
+
+    // === HOLE FILLING MODE ===
+    const squareKey = `${square.i},${square.j}`;
+    const hole = squareToHoleMap.get(squareKey);
+    let holeSizeBonusRaw = 0;
+    let holeCompletionBonus = 0;
+
+    if (hole) {
+      let holeMultiplier = weights.holeMultipliers.near;   // default max 2,000 for size 10
+      if (layerDistance >= 3) holeMultiplier = weights.holeMultipliers.mid;
+      if (layerDistance >= 5) holeMultiplier = weights.holeMultipliers.far;
+
+      holeSizeBonusRaw = hole.size * holeMultiplier;
+
+      const unvisitedInHole = hole.squares.filter(
+        sq => !visitedSet.has(sq.key) && sq.key !== squareKey
+      ).length;
+      if (unvisitedInHole === 0) {
+        holeCompletionBonus = weights.holeCompletionBonus;
+      }
+    }
+
+    //  MODE MULTIPLIERS 
+    const mult = weights.multipliers;
+
+    // Apply layer penalty reduction in holes mode (negative scores only)
+  if (mult.layerPenalty !== undefined && mult.layerPenalty !== 1.0) { 
+    scoreBreakdown.layerScore = Math.floor(scoreBreakdown.layerScore   * mult.layerPenalty);
+ }
+    score += scoreBreakdown.layerScore;
+
+    scoreBreakdown.edgeBonus = Math.floor(edgeBonusRaw * mult.edge);
+    scoreBreakdown.holeBonus = Math.floor((holeSizeBonusRaw + holeCompletionBonus) * mult.hole);
+
+    score += scoreBreakdown.edgeBonus + scoreBreakdown.holeBonus;
+
+    // === ADJACENCY ===
+    const adjacency = getNeighborKeys(square.i, square.j).filter(n => visitedSet.has(n)).length;
+    scoreBreakdown.adjacencyBonus = adjacency * weights.adjacencyBonus;
+    score += scoreBreakdown.adjacencyBonus;
+
+    // === DIRECTION FILTER ===
+    if (Array.isArray(direction) && direction.length < 4) {
+      const matches = {
+        N: square.i > base.maxI,
+        S: square.i < base.minI,
+        E: square.j > base.maxJ,
+        W: square.j < base.minJ
+      };
+
+      const matchesAnyDirection = direction.some(dir => matches[dir]);
+
+      if (!matchesAnyDirection) {
+        scoreBreakdown.directionPenalty = -1000000;
+        score += scoreBreakdown.directionPenalty;
+      }
+    }
+
+    return { ...square, score, scoreBreakdown, layerDistance, hole };
+  });
+
+  scored.sort((a, b) => b.score - a.score);
+  return scored;
+}
+
+// ===== SELECTION =====
+
+/**
+ * Manhattan distance from a square to the closest picked square
+ * @param {Object} square - {i, j}
+ * @param {Array} picks - Picked squares {i, j}
+ * @returns {number} Distance in squares (Infinity without picks)
+ */
+function distanceToPicks(square, picks) {
+  let min = Infinity;
+  for (const pick of picks) {
+    const d = Math.abs(square.i - pick.i) + Math.abs(square.j - pick.j);
+    if (d < min) min = d;
+  }
+  return min;
+}
+
+/**
+ * Candidate for a manually picked (pinned) square
+ * Uses the scored entry if the square lies in the scored search area,
+ * otherwise a neutral entry with score 0.
+ * @param {number} i - Row index
+ * @param {number} j - Column index
+ * @param {Array} scored - Result of scoreCandidates
+ * @param {Object} base - Übersquadrat bounds {minI, maxI, minJ, maxJ}
+ * @param {Object} gridParams - Grid parameters {zoom, originX, originY}
+ * @returns {Object} Candidate marked as pinned
+ */
+export function pinnedCandidate(i, j, scored, base, gridParams) {
+  const key = `${i},${j}`;
+  const existing = scored.find(c => c.key === key);
+  if (existing) {
+    return { ...existing, pinned: true };
+  }
+
+  const edge = [
+    i > base.maxI ? 'N' : '',
+    i < base.minI ? 'S' : '',
+    j > base.maxJ ? 'E' : '',
+    j < base.minJ ? 'W' : ''
+  ].join('');
+
+  return {
+    i,
+    j,
+    key,
+    edge,
+    tile: cellToTile(i, j, gridParams),
+    score: 0,
+    scoreBreakdown: { base: 0, layerScore: 0, edgeBonus: 0, holeBonus: 0, adjacencyBonus: 0 },
+    layerDistance: calculateLayerDistance(i, j, base).total,
+    hole: undefined,
+    pinned: true
+  };
+}
+
+/**
+ * Candidates for a list of pinned squares
+ * @param {Array} pinnedKeys - "i,j" keys
+ * @param {Array} scored - Result of scoreCandidates
+ * @param {Object} base - Übersquadrat bounds {minI, maxI, minJ, maxJ}
+ * @param {Object} gridParams - Grid parameters {zoom, originX, originY}
+ * @returns {Array} Pinned candidates
+ */
+export function pinnedCandidates(pinnedKeys, scored, base, gridParams) {
+  return pinnedKeys.map(key => {
+    const [i, j] = key.split(',').map(Number);
+    return pinnedCandidate(i, j, scored, base, gridParams);
+  });
+}
+
+/**
+ * Turn proposal metadata back into candidates (e.g. to edit a proposal)
+ * @param {Array} metadata - Metadata from buildProposal
+ * @returns {Array} Candidates in the order of the metadata
+ */
+export function candidatesFromMetadata(metadata) {
+  return metadata.map(meta => ({
+    i: meta.gridCoords.i,
+    j: meta.gridCoords.j,
+    key: `${meta.gridCoords.i},${meta.gridCoords.j}`,
+    edge: meta.edge || '',
+    tile: { x: meta.tile.x, y: meta.tile.y },
+    score: meta.score ?? 0,
+    scoreBreakdown: meta.scoreBreakdown ?? { base: 0, layerScore: 0, edgeBonus: 0, holeBonus: 0, adjacencyBonus: 0 },
+    layerDistance: meta.layerDistance ?? 0,
+    hole: meta.hole,
+    pinned: meta.pinned
+  }));
+}
+
+/**
+ * Select the squares to propose
+ * Pinned squares are always taken first and count towards targetNew.
+ * With compactness 0 the remaining slots are the top-N by score. Otherwise squares
+ * are picked greedily and each remaining square gets a bonus of
+ * compactness × CONFIG.COMPACTNESS_BONUS / (distance to the closest pick),
+ * so neighbours of earlier (or pinned) picks win over equally scored squares far away.
+ * @param {Array} scored - Scored candidates, best first
+ * @param {number} targetNew - Number of squares to select
+ * @param {number} compactness - Compactness weight (0-1)
+ * @param {Array} pinned - Pinned candidates (see pinnedCandidate)
+ * @returns {Array} Selected candidates in selection order
+ */
+export function selectCandidates(scored, targetNew, compactness = 0, pinned = []) {
+  const pinnedKeys = new Set(pinned.map(c => c.key));
+  const free = pinnedKeys.size > 0 ? scored.filter(c => !pinnedKeys.has(c.key)) : scored;
+
+  if (compactness <= 0) {
+    return [...pinned, ...free.slice(0, Math.max(0, targetNew - pinned.length))];
+  }
+
+  const remaining = [...free];
+  const picks = [...pinned];
+
+  while (picks.length < targetNew && remaining.length > 0) {
+    let bestIndex = 0;
+    let bestTotal = -Infinity;
+    let bestBonus = 0;
+
+    remaining.forEach((candidate, index) => {
+      const distance = distanceToPicks(candidate, picks);
+      const bonus = distance === Infinity ? 0 : Math.floor(compactness * CONFIG.COMPACTNESS_BONUS / distance);
+      if (candidate.score + bonus > bestTotal) {
+        bestTotal = candidate.score + bonus;
+        bestIndex = index;
+        bestBonus = bonus;
+      }
+    });
+
+    const [picked] = remaining.splice(bestIndex, 1);
+    picks.push({
+      ...picked,
+      scoreBreakdown: { ...picked.scoreBreakdown, compactnessBonus: bestBonus }
+    });
+  }
+
+  return picks;
+}
+
+/**
+ * Group squares into 4-connected clusters
+ * @param {Array} squares - Squares {i, j}
+ * @returns {Array} Cluster id (0-based) per square, in input order
+ */
+function labelClusters(squares) {
+  const indexByKey = new Map(squares.map((s, index) => [`${s.i},${s.j}`, index]));
+  const labels = new Array(squares.length).fill(-1);
+  let nextLabel = 0;
+
+  squares.forEach((square, start) => {
+    if (labels[start] !== -1) return;
+
+    labels[start] = nextLabel;
+    const queue = [square];
+    for (let head = 0; head < queue.length; head++) {
+      const { i, j } = queue[head];
+      for (const key of getNeighborKeys(i, j)) {
+        const index = indexByKey.get(key);
+        if (index !== undefined && labels[index] === -1) {
+          labels[index] = nextLabel;
+          queue.push(squares[index]);
+        }
+      }
+    }
+    nextLabel++;
+  });
+
+  return labels;
+}
+
+/**
+ * Convert selected candidates into proposed squares
+ * Each metadata entry carries the cluster of touching picks it belongs to
+ * and the total number of such clusters.
+ * @param {Array} selected - Scored candidates in selection order
+ * @param {Object} gridParams - Grid parameters {zoom, originX, originY}
+ * @returns {Object} {rectangles, metadata, clusterCount}
+ */
+export function buildProposal(selected, gridParams) {
+  const rectangles = selected.map(s => cellBounds(s.i, s.j, gridParams));
+  const clusters = labelClusters(selected);
+  const clusterCount = selected.length > 0 ? Math.max(...clusters) + 1 : 0;
+
+  const metadata = selected.map((s, index) => ({
+    bounds: rectangles[index],
+    gridCoords: { i: s.i, j: s.j },
+    tile: { ...s.tile, z: gridParams.zoom },
+    score: s.score,
+    scoreBreakdown: s.scoreBreakdown,
+    layerDistance: s.layerDistance,
+    selectionOrder: index + 1,
+    edge: s.edge && s.edge.length > 0 ? s.edge : undefined,
+    hole: s.hole ? { size: s.hole.size, id: s.hole.id } : undefined,
+    pinned: s.pinned || undefined,
+    cluster: { id: clusters[index] + 1, count: clusterCount }
+  }));
+
+  return {
+    rectangles,
+    metadata,
+    clusterCount
+  };
+}
+
+/**
+ * Main optimization entry point
+ *
+ * @param {Object} base - Übersquadrat bounds {minI, maxI, minJ, maxJ}
+ * @param {number} targetNew - Number of new squares to recommend
+ * @param {Array} direction - Selected directions ['N', 'S', 'E', 'W']
+ * @param {Set} visitedSet - Set of "i,j" visited squares
+ * @param {Object} gridParams - Grid parameters {zoom, originX, originY}
+ * @param {string|Object} optimizationMode - Preset 'balanced', 'edge' or 'holes', or scoring weights
+ * @param {number} maxHoleSize - Maximum hole size to consider (1-10)
+ * @param {number} compactness - Weight (0-1) rewarding squares close to other picks
+ * @param {Set|null} excludedSet - Set of "i,j" unreachable squares (exclusion zones)
+ * @param {Array} pinnedKeys - "i,j" keys of manually pinned squares, always part of the result
+ * @param {number} searchRadius - Layers around the Übersquadrat scanned for candidates
+ * @returns {Object} {rectangles, metadata, clusterCount, candidates} - Array of rectangle bounds and metadata,
+ *                   plus all scored candidates (best first) for the heatmap
+ */
+export function optimizeSquare(
+  base,
+  targetNew,
+  direction,
+  visitedSet,
+  gridParams,
+  optimizationMode = 'balanced',
+  maxHoleSize = 5,
+  compactness = 0,
+  excludedSet = null,
+  pinnedKeys = [],
+  searchRadius = CONFIG.SEARCH_RADIUS
+) {
+  const scored = scoreCandidates(
+    base, direction, visitedSet, gridParams, optimizationMode, maxHoleSize, excludedSet, searchRadius
+  );
+  const pinned = pinnedCandidates(pinnedKeys, scored, base, gridParams);
+
+  //  PHASE 5: SELECT TOP N (pinned first, optionally compact)
+  return {
+    ...buildProposal(selectCandidates(scored, targetNew, compactness, pinned), gridParams),
+    candidates: scored
+  };
+}
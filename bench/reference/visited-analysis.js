@@ -0,0 +1,308 @@
+// Reference copy of src/logic/visited-analysis.js from before the BitGrid, for bench/visited-grid.js
+import { CONFIG } from '../../src/logic/config.js';
+
+/**
+ * Analysis of the visited grid independent of what the KML declares
+ *
+ * - Largest fully visited square (the Übersquadrat as squadrats.com computes it)
+ * - Largest cluster: biggest 4-connected group of visited squares whose four
+ *   neighbours are all visited as well
+ * - Holes: unvisited areas fully enclosed by visited squares
+ */
+
+/**
+ * Parse an "i,j" key
+ * @param {string} key - Grid key
+ * @returns {Array} [i, j]
+ */
+function parseKey(key) {
+  const comma = key.indexOf(',');
+  return [Number(key.slice(0, comma)), Number(key.slice(comma + 1))];
+}
+
+/**
+ * Bounding box of all keys in a set
+ * @param {Set} visitedSet - Set of "i,j" keys
+ * @returns {Object|null} {minI, maxI, minJ, maxJ} or null for an empty set
+ */
+export function getVisitedExtent(visitedSet) {
+  if (visitedSet.size === 0) return null;
+
+  let minI = Infinity, maxI = -Infinity, minJ = Infinity, maxJ = -Infinity;
+  for (const key of visitedSet) {
+    const [i, j] = parseKey(key);
+    if (i < minI) minI = i;
+    if (i > maxI) maxI = i;
+    if (j < minJ) minJ = j;
+    if (j > maxJ) maxJ = j;
+  }
+
+  return { minI, maxI, minJ, maxJ };
+}
+
+/**
+ * Group visited keys by row
+ * @param {Set} visitedSet - Set of "i,j" keys
+ * @returns {Array} Array of [i, sortedColumns] sorted by i
+ */
+function groupByRow(visitedSet) {
+  const rows = new Map();
+  for (const key of visitedSet) {
+    const [i, j] = parseKey(key);
+    if (!rows.has(i)) rows.set(i, []);
+    rows.get(i).push(j);
+  }
+
+  return Array.from(rows.entries())
+    .map(([i, cols]) => [i, cols.sort((a, b) => a - b)])
+    .sort((a, b) => a[0] - b[0]);
+}
+
+/**
+ * Find the largest square of visited cells
+ * Dynamic programming over the visited cells only, row by row from the south.
+ * If several squares share the maximum size, the first one found scanning from the south-west wins.
+ * @param {Set} visitedSet - Set of "i,j" visited squares
+ * @returns {Object|null} {minI, maxI, minJ, maxJ, size} or null if nothing is visited
+ */
+export function findLargestSquare(visitedSet) {
+  if (visitedSet.size === 0) return null;
+
+  let best = { size: 0, i: 0, j: 0 };
+  let prevRow = new Map();
+  let prevI = null;
+
+  for (const [i, cols] of groupByRow(visitedSet)) {
+    // dp value of a cell = size of the largest square with its north-east corner there
+    const south = prevI === i - 1 ? prevRow : new Map();
+    const currRow = new Map();
+    let westJ = null;
+    let westSize = 0;
+
+    for (const j of cols) {
+      const west = westJ === j - 1 ? westSize : 0;
+      const size = Math.min(south.get(j) || 0, west, south.get(j - 1) || 0) + 1;
+
+      currRow.set(j, size);
+      westJ = j;
+      westSize = size;
+
+      if (size > best.size) {
+        best = { size, i, j };
+      }
+    }
+
+    prevRow = currRow;
+    prevI = i;
+  }
+
+  return {
+    minI: best.i - best.size + 1,
+    maxI: best.i,
+    minJ: best.j - best.size + 1,
+    maxJ: best.j,
+    size: best.size
+  };
+}
+
+/**
+ * Find the largest cluster of visited squares
+ * @param {Set} visitedSet - Set of "i,j" visited squares
+ * @returns {Object} {size, squares: Array of "i,j" keys}
+ */
+export function findLargestCluster(visitedSet) {
+  const isClusterSquare = (i, j) =>
+    visitedSet.has(`${i},${j}`) &&
+    visitedSet.has(`${i - 1},${j}`) &&
+    visitedSet.has(`${i + 1},${j}`) &&
+    visitedSet.has(`${i},${j - 1}`) &&
+    visitedSet.has(`${i},${j + 1}`);
+
+  const seen = new Set();
+  let largest = [];
+
+  for (const key of visitedSet) {
+    if (seen.has(key)) continue;
+
+    const [si, sj] = parseKey(key);
+    if (!isClusterSquare(si, sj)) continue;
+
+    const region = [];
+    const queue = [[si, sj]];
+    seen.add(key);
+
+    for (let head = 0; head < queue.length; head++) {
+      const [i, j] = queue[head];
+      region.push(`${i},${j}`);
+
+      for (const [ni, nj] of [[i - 1, j], [i + 1, j], [i, j - 1], [i, j + 1]]) {
+        const nKey = `${ni},${nj}`;
+        if (!seen.has(nKey) && isClusterSquare(ni, nj)) {
+          seen.add(nKey);
+          queue.push([ni, nj]);
+        }
+      }
+    }
+
+    if (region.length > largest.length) {
+      largest = region;
+    }
+  }
+
+  return { size: largest.length, squares: largest };
+}
+
+const VISITED = 1;
+const OUTSIDE = 2;
+
+/**
+ * Rasterize the visited extent and flood-fill the unvisited area from outside
+ * Cells still 0 afterwards are unvisited and enclosed by visited cells.
+ * @param {Set} visitedSet - Set of "i,j" visited squares
+ * @returns {Object|null} {cells, width, height, minI, minJ} or null for an empty set
+ */
+function fillFromOutside(visitedSet) {
+  const extent = getVisitedExtent(visitedSet);
+  if (!extent) return null;
+
+  // One cell of padding around the extent so the fill can walk around everything
+  const minI = extent.minI - 1;
+  const minJ = extent.minJ - 1;
+  const height = extent.maxI - extent.minI + 3;
+  const width = extent.maxJ - extent.minJ + 3;
+
+  const cells = new Uint8Array(width * height);
+
+  for (const key of visitedSet) {
+    const [i, j] = parseKey(key);
+    cells[(i - minI) * width + (j - minJ)] = VISITED;
+  }
+
+  // Every cell is queued at most once
+  const queue = new Int32Array(cells.length);
+  let tail = 0;
+  const visit = (n) => {
+    if (cells[n] === 0) {
+      cells[n] = OUTSIDE;
+      queue[tail++] = n;
+    }
+  };
+
+  visit(0);
+  for (let head = 0; head < tail; head++) {
+    const index = queue[head];
+    const col = index % width;
+
+    if (index >= width) visit(index - width);
+    if (index < cells.length - width) visit(index + width);
+    if (col > 0) visit(index - 1);
+    if (col < width - 1) visit(index + 1);
+  }
+
+  return { cells, width, height, minI, minJ };
+}
+
+/**
+ * Find all holes of the visited area
+ * A hole is a 4-connected group of unvisited cells fully enclosed by visited
+ * cells, anywhere in the visited extent. Open bays that connect to the
+ * outside are not holes.
+ * @param {Set} visitedSet - Set of "i,j" visited squares
+ * @returns {Array} Holes {id, squares: Array of {i, j, key}, size}
+ */
+export function findHoles(visitedSet) {
+  const grid = fillFromOutside(visitedSet);
+  if (!grid) return [];
+
+  const { cells, width, minI, minJ } = grid;
+  const holes = [];
+
+  for (let start = 0; start < cells.length; start++) {
+    if (cells[start] !== 0) continue;
+
+    // Mark the cells of this hole as processed (reusing OUTSIDE) while collecting them
+    const squares = [];
+    const queue = [start];
+    cells[start] = OUTSIDE;
+
+    for (let head = 0; head < queue.length; head++) {
+      const index = queue[head];
+      const row = Math.floor(index / width);
+      const col = index % width;
+      const i = row + minI;
+      const j = col + minJ;
+      squares.push({ i, j, key: `${i},${j}` });
+
+      // Enclosed cells never touch the padding, so no bounds checks are needed
+      for (const n of [index - width, index + width, index - 1, index + 1]) {
+        if (cells[n] === 0) {
+          cells[n] = OUTSIDE;
+          queue.push(n);
+        }
+      }
+    }
+
+    holes.push({ id: holes.length, squares, size: squares.length });
+  }
+
+  return holes;
+}
+
+/**
+ * Size class of a hole
+ * @param {number} size - Number of squares in the hole
+ * @param {Array} limits - [smallMax, mediumMax] upper size limits of the small and medium class
+ * @returns {string} 'small', 'medium' or 'large'
+ */
+export function classifyHole(size, limits = CONFIG.HOLE_SIZE_LIMITS) {
+  if (size <= limits[0]) return 'small';
+  if (size <= limits[1]) return 'medium';
+  return 'large';
+}
+
+/**
+ * Count unvisited cells inside a base square
+ * @param {Object} base - {minI, maxI, minJ, maxJ}
+ * @param {Set} visitedSet - Set of "i,j" visited squares
+ * @returns {number} Number of unvisited cells
+ */
+function countMissing(base, visitedSet) {
+  let missing = 0;
+  for (let i = base.minI; i <= base.maxI; i++) {
+    for (let j = base.minJ; j <= base.maxJ; j++) {
+      if (!visitedSet.has(`${i},${j}`)) missing++;
+    }
+  }
+  return missing;
+}
+
+/**
+ * Compare the declared Übersquadrat with the one derived from the visited grid
+ *
+ * @param {Set} visitedSet - Set of "i,j" visited squares
+ * @param {Object|null} declaredBase - Übersquadrat from the KML {minI, maxI, minJ, maxJ} or null
+ * @returns {Object} {declared, derived, cluster, warnings}
+ */
+export function analyzeVisited(visitedSet, declaredBase) {
+  const derived = findLargestSquare(visitedSet);
+  const cluster = findLargestCluster(visitedSet);
+  const warnings = [];
+
+  let declared = null;
+  if (declaredBase) {
+    declared = {
+      ...declaredBase,
+      size: declaredBase.maxI - declaredBase.minI + 1,
+      missing: countMissing(declaredBase, visitedSet)
+    };
+
+    if (declared.missing > 0) {
+      warnings.push(`Das Übersquadrat aus der KML ist nicht vollständig besucht (${declared.missing} Quadrate fehlen).`);
+    }
+    if (derived && derived.size > declared.size) {
+      warnings.push(`Das größte besuchte Quadrat ist ${derived.size}×${derived.size}, die KML meldet ${declared.size}×${declared.size}. Ist die KML veraltet?`);
+    }
+  }
+
+  return { declared, derived, cluster, warnings };
+}
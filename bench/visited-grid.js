@@ -0,0 +1,118 @@
+#!/usr/bin/env node
+import { readFile, readdir } from 'node:fs/promises';
+import { join } from 'node:path';
+import { performance } from 'node:perf_hooks';
+import { isDeepStrictEqual } from 'node:util';
+import { DOMParser } from '@xmldom/xmldom';
+import { loadSquadratsFile } from '../src/logic/squadrats-loader.js';
+import { BitGrid } from '../src/logic/bit-grid.js';
+import { findLargestSquare, findLargestCluster, findHoles } from '../src/logic/visited-analysis.js';
+import { scoreCandidates } from '../src/logic/optimizer.js';
+import * as reference from './reference/visited-analysis.js';
+import { scoreCandidates as referenceScoreCandidates } from './reference/optimizer.js';
+
+/**
+ * Benchmark: BitGrid against Sets of "i,j" string keys on the bundled KMLs
+ *
+ * The Set side runs the functions as they were before the BitGrid (copies in
+ * bench/reference), the BitGrid side the current ones. Both must return
+ * identical results.
+ *
+ * Example:
+ *   npm run bench
+ *   npm run bench -- data/squadrats-2026-01-18.kml
+ */
+
+globalThis.DOMParser = DOMParser;
+
+const DATA_DIR = new URL('../data/', import.meta.url);
+const SEARCH_RADII = [5, 25, 50];
+
+// ===== Measuring =====
+
+/**
+ * Median runtime of fn in milliseconds
+ * After one warm-up run, repeats until at least 200 ms or 5 runs have passed (at most 50 runs).
+ */
+function measure(fn) {
+  const times = [];
+  let result = fn();
+  let total = 0;
+  while (times.length < 50 && (times.length < 5 || total < 200)) {
+    const start = performance.now();
+    result = fn();
+    const elapsed = performance.now() - start;
+    times.push(elapsed);
+    total += elapsed;
+  }
+  times.sort((a, b) => a - b);
+  return { ms: times[Math.floor(times.length / 2)], result };
+}
+
+function compare(name, keyFn, gridFn) {
+  const before = measure(keyFn);
+  const after = measure(gridFn);
+  if (!isDeepStrictEqual(before.result, after.result)) {
+    throw new Error(`${name}: Ergebnisse weichen ab`);
+  }
+  return {
+    Operation: name,
+    'Set (ms)': before.ms.toFixed(2),
+    'BitGrid (ms)': after.ms.toFixed(2),
+    Faktor: `${(before.ms / after.ms).toFixed(1)}×`
+  };
+}
+
+async function benchmarkFile(path) {
+  const { levels } = loadSquadratsFile(await readFile(path, 'utf8'), path);
+
+  for (const [levelName, level] of Object.entries(levels)) {
+    if (!level) continue;
+
+    const visited = level.visitedSet;
+    const keys = new Set(visited);
+    const cells = [];
+    visited.forEachCell((i, j) => cells.push([i, j]));
+    const base = level.gridParams.baseSquare;
+
+    const rows = [
+      compare('Aufbau', () => {
+        const set = new Set();
+        for (const [i, j] of cells) set.add(`${i},${j}`);
+        return set.size;
+      }, () => {
+        const grid = new BitGrid();
+        for (const [i, j] of cells) grid.addCell(i, j);
+        return grid.size;
+      }),
+      compare('Größtes Quadrat', () => reference.findLargestSquare(keys), () => findLargestSquare(visited)),
+      compare('Größter Cluster', () => reference.findLargestCluster(keys), () => findLargestCluster(visited)),
+      compare('Löcher', () => reference.findHoles(keys), () => findHoles(visited)),
+      ...SEARCH_RADII.map(radius => compare(
+        `scoreCandidates r=${radius}`,
+        () => referenceScoreCandidates(base, ['N', 'S', 'E', 'W'], keys, level.gridParams, 'balanced', 5, null, radius),
+        () => scoreCandidates({ base, visitedSet: visited, gridParams: level.gridParams, searchRadius: radius })
+      ))
+    ];
+
+    console.log(`\n${path} – ${levelName} (${visited.size} Quadrate)`);
+    console.table(rows);
+  }
+}
+
+async function main() {
+  const files = process.argv.slice(2);
+  if (files.length === 0) {
+    const names = (await readdir(DATA_DIR)).filter(name => name.endsWith('.kml')).sort();
+    files.push(...names.map(name => join(DATA_DIR.pathname, name)));
+  }
+
+  for (const file of files) {
+    await benchmarkFile(file);
+  }
+}
+
+main().catch(error => {
+  console.error(`Fehler: ${error.message}`);
+  process.exitCode = 1;
+});
@@ -0,0 +1,189 @@
+#!/usr/bin/env node
+import { readFile, writeFile } from 'node:fs/promises';
+import { basename, extname } from 'node:path';
+import { parseArgs } from 'node:util';
+import { DOMParser } from '@xmldom/xmldom';
+import { CONFIG } from '../src/logic/config.js';
+import { loadSquadratsFile } from '../src/logic/squadrats-loader.js';
+import { optimizeSquare } from '../src/logic/optimizer.js';
+import { parseExclusionZones, getExcludedCells } from '../src/logic/exclusion-zones.js';
+import { calculateRoute } from '../src/logic/router.js';
+import { ROUTING_BACKENDS, getRoutingBackend } from '../src/logic/routing-backends.js';
+import { generateGPX, generateKML } from '../src/logic/export.js';
+
+/**
+ * Headless planning: squadrats file → optimizeSquare → route → GPX/KML
+ *
+ * Example:
+ *   npm run plan -- --kml data/squadrats-2026-01-18.kml --squares 10 --start 48.1,11.5 --out ride.gpx
+ */
+
+// The squadrats loader parses KML with the browser DOMParser
+globalThis.DOMParser = DOMParser;
+
+const USAGE = `Verwendung: plan --kml <datei> --start <lat,lon> [Optionen]
+
+  --kml <datei>            Squadrats-Datei (KML, GeoJSON oder Kachelliste)
+  --start <lat,lon>        Startpunkt der Tour
+  --out <datei>            Ausgabe als .gpx oder .kml (Standard: GPX auf stdout)
+  --squares <n>            Anzahl neuer Quadrate (Standard: 10)
+  --level <ebene>          squadrat oder squadratinho (Standard: squadrat)
+  --directions <liste>     Richtungen, z. B. N,E (Standard: N,S,E,W)
+  --mode <modus>           balanced, edge oder holes (Standard: balanced)
+  --max-hole-size <n>      Maximale Lochgröße (Standard: 5)
+  --radius <n>             Suchradius in Ebenen um das Übersquadrat (Standard: ${CONFIG.SEARCH_RADIUS})
+  --compactness <0-1>      Kompaktheit der Auswahl (Standard: 0)
+  --exclude <datei>        Sperrzonen als GeoJSON oder KML
+  --bike <profil>          trekking, hiking-mountain oder fastbike (Standard: fastbike)
+  --oneway                 Keine Rundtour (endet am letzten Quadrat)
+  --router <dienst>        ${Object.keys(ROUTING_BACKENDS).join(', ')} (Standard: brouter)
+  --router-url <url>       Instanz des Routing-Dienstes (Standard: öffentliche Instanz)
+  --brouter <url>          Kurzform für --router brouter --router-url <url>
+  -h, --help               Diese Hilfe anzeigen`;
+
+const OPTIONS = {
+  kml: { type: 'string' },
+  start: { type: 'string' },
+  out: { type: 'string' },
+  squares: { type: 'string', default: '10' },
+  level: { type: 'string', default: 'squadrat' },
+  directions: { type: 'string', default: 'N,S,E,W' },
+  mode: { type: 'string', default: 'balanced' },
+  'max-hole-size': { type: 'string', default: '5' },
+  radius: { type: 'string', default: String(CONFIG.SEARCH_RADIUS) },
+  compactness: { type: 'string', default: '0' },
+  exclude: { type: 'string' },
+  bike: { type: 'string', default: 'fastbike' },
+  oneway: { type: 'boolean', default: false },
+  router: { type: 'string', default: 'brouter' },
+  'router-url': { type: 'string' },
+  brouter: { type: 'string' },
+  help: { type: 'boolean', short: 'h', default: false }
+};
+
+/**
+ * Parse "lat,lon"
+ * @param {string} value - Coordinate string
+ * @returns {Object} {lat, lon}
+ */
+function parseLatLon(value) {
+  const [lat, lon] = value.split(',').map(Number);
+  if (!Number.isFinite(lat) || !Number.isFinite(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180) {
+    throw new Error(`Ungültiger Startpunkt "${value}" – erwartet wird "lat,lon"`);
+  }
+  return { lat, lon };
+}
+
+/**
+ * Parse a non-negative number option
+ * @param {string} value - Option value
+ * @param {string} name - Option name for the error message
+ * @returns {number}
+ */
+function parseNumber(value, name) {
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0) {
+    throw new Error(`Ungültiger Wert für --${name}: "${value}"`);
+  }
+  return number;
+}
+
+async function main() {
+  const { values } = parseArgs({ options: OPTIONS });
+
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+  if (!values.kml || !values.start) {
+    throw new Error(`--kml und --start sind erforderlich\n\n${USAGE}`);
+  }
+
+  const startPoint = parseLatLon(values.start);
+  const numSquares = parseNumber(values.squares, 'squares');
+  const maxHoleSize = parseNumber(values['max-hole-size'], 'max-hole-size');
+  const searchRadius = Math.floor(parseNumber(values.radius, 'radius'));
+  const compactness = Math.min(1, parseNumber(values.compactness, 'compactness'));
+  const directions = values.directions.toUpperCase().split(',').map(d => d.trim()).filter(Boolean);
+  const roundtrip = !values.oneway;
+  const backend = values.brouter
+    ? { id: 'brouter', url: values.brouter }
+    : { id: getRoutingBackend(values.router).id, url: values['router-url'] };
+
+  const content = await readFile(values.kml, 'utf8');
+  const { levels } = loadSquadratsFile(content, basename(values.kml));
+  const level = levels[values.level];
+  if (!level) {
+    throw new Error(`Die Datei enthält keine Ebene "${values.level}"`);
+  }
+
+  const { gridParams, visitedSet } = level;
+
+  let excludedSet = null;
+  if (values.exclude) {
+    const zones = parseExclusionZones(await readFile(values.exclude, 'utf8'), basename(values.exclude));
+    excludedSet = getExcludedCells(zones, gridParams);
+    console.error(`${zones.length} Sperrzone(n), ${excludedSet.size} gesperrte Quadrate`);
+  }
+
+  const result = optimizeSquare({
+    base: gridParams.baseSquare,
+    numSquares,
+    directions,
+    visitedSet,
+    gridParams,
+    mode: values.mode,
+    maxHoleSize,
+    compactness,
+    excludedSet,
+    searchRadius
+  });
+
+  if (result.metadata.length === 0) {
+    throw new Error('Keine Quadrate gefunden – Richtungen oder Anzahl anpassen');
+  }
+
+  const size = gridParams.baseSquare.maxI - gridParams.baseSquare.minI + 1;
+  console.error(`Übersquadrat ${size}×${size}, ${visitedSet.size} besuchte Quadrate`);
+  console.error(`${result.metadata.length} Quadrate vorgeschlagen:`);
+  for (const meta of result.metadata) {
+    console.error(`  ${meta.tile.z}/${meta.tile.x}/${meta.tile.y}  Score ${Math.round(meta.score)}`);
+  }
+
+  const route = await calculateRoute(
+    result,
+    startPoint,
+    values.bike,
+    roundtrip,
+    backend,
+    message => console.error(message),
+    CONFIG.WAYPOINT_MARGIN[values.level] ?? 0
+  );
+
+  console.error(`Route: ${route.distance.toFixed(1)} km, ${route.elevationGain} m Anstieg (${route.routerUsed}, ${route.profileUsed})`);
+  console.error(`Reihenfolge: ${route.straightLineDistance.toFixed(1)} km Luftlinie, ${route.networkDistance.toFixed(1)} km ${route.networkSource}`);
+  if (route.routerFallback) {
+    console.error(`Routing-Dienst fehlgeschlagen, Route offline berechnet (${route.routerFallback})`);
+  }
+  if (route.straightLegs) {
+    console.error(`${route.straightLegs} Abschnitt(e) ohne Straßenverbindung als Luftlinie`);
+  }
+  if (route.skippedSquareCoords) {
+    console.error(`${route.skippedSquareCoords.length} Quadrat(e) ohne Straße übersprungen`);
+  }
+
+  const asKml = values.out && extname(values.out).toLowerCase() === '.kml';
+  const output = asKml ? generateKML(route) : generateGPX(route);
+
+  if (values.out) {
+    await writeFile(values.out, output);
+    console.error(`Gespeichert: ${values.out}`);
+  } else {
+    process.stdout.write(output + '\n');
+  }
+}
+
+main().catch(error => {
+  console.error(`Fehler: ${error.message}`);
+  process.exitCode = 1;
+});
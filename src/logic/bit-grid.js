@@ -0,0 +1,298 @@
+/**
+ * Compact grid of visited cells
+ *
+ * One bit per cell in a Uint32Array, rows of whole 32-bit words starting at an
+ * offset (minI, minJ), so lookups are an index calculation instead of building
+ * and hashing "i,j" strings. The grid grows when cells outside of it are added.
+ *
+ * Besides the cell API (hasCell, addCell, deleteCell, forEachCell) it offers the
+ * read/write API of a Set of "i,j" keys, so code working with keys keeps working.
+ */
+
+const WORD_BITS = 32;
+// Extra rows allocated on each side when the grid grows
+const MIN_ROW_MARGIN = 8;
+
+/**
+ * Parse an "i,j" key
+ * @param {string} key - Grid key
+ * @returns {Array} [i, j]
+ */
+function parseKey(key) {
+  const comma = key.indexOf(',');
+  return [Number(key.slice(0, comma)), Number(key.slice(comma + 1))];
+}
+
+export class BitGrid {
+  constructor() {
+    // Row of the first stored row and column of the first stored bit (a multiple of 32)
+    this.minI = 0;
+    this.minJ = 0;
+    this.height = 0;
+    // 32-bit words per row
+    this.stride = 0;
+    this.words = new Uint32Array(0);
+    this.count = 0;
+  }
+
+  /**
+   * Grid from any representation of visited cells
+   * Structured cloning (e.g. to and from a Web Worker) drops the prototype;
+   * the cloned fields are turned back into a BitGrid without copying.
+   * @param {BitGrid|Object|Iterable} value - BitGrid (returned as is), cloned BitGrid fields
+   *                                          or iterable of "i,j" keys
+   * @returns {BitGrid}
+   */
+  static from(value) {
+    if (value instanceof BitGrid) return value;
+
+    const grid = new BitGrid();
+    if (value && value.words instanceof Uint32Array) {
+      grid.minI = value.minI;
+      grid.minJ = value.minJ;
+      grid.height = value.height;
+      grid.stride = value.stride;
+      grid.words = value.words;
+      grid.count = value.count;
+      return grid;
+    }
+
+    for (const key of value || []) {
+      grid.add(key);
+    }
+    return grid;
+  }
+
+  get size() {
+    return this.count;
+  }
+
+  /**
+   * Word index of cell (i, j) or -1 if it lies outside the stored area
+   */
+  _wordIndex(i, j) {
+    const row = i - this.minI;
+    const word = (j - this.minJ) >> 5;
+    if (row < 0 || row >= this.height || j < this.minJ || word >= this.stride) return -1;
+    return row * this.stride + word;
+  }
+
+  /**
+   * Move the set cells into a newly allocated area
+   * Cells outside of the new area are dropped.
+   * @param {number} minI - First row
+   * @param {number} height - Number of rows
+   * @param {number} minWord - First column divided by 32
+   * @param {number} stride - Words per row
+   */
+  _resize(minI, height, minWord, stride) {
+    const words = new Uint32Array(height * stride);
+    const oldMinWord = this.minJ / WORD_BITS;
+    const fromWord = Math.max(minWord, oldMinWord);
+    const toWord = Math.min(minWord + stride, oldMinWord + this.stride);
+
+    for (let row = Math.max(0, this.minI - minI); row < height && toWord > fromWord; row++) {
+      const oldRow = row + minI - this.minI;
+      if (oldRow >= this.height) break;
+
+      const start = oldRow * this.stride + fromWord - oldMinWord;
+      words.set(this.words.subarray(start, start + toWord - fromWord), row * stride + fromWord - minWord);
+    }
+
+    this.minI = minI;
+    this.minJ = minWord * WORD_BITS;
+    this.height = height;
+    this.stride = stride;
+    this.words = words;
+  }
+
+  /**
+   * Enlarge the stored area so it contains cell (i, j)
+   * Grows by at least half the current size towards the cell to keep adding cheap.
+   */
+  _grow(i, j) {
+    const rowMargin = Math.max(MIN_ROW_MARGIN, this.height >> 1);
+    const wordMargin = Math.max(1, this.stride >> 1);
+    const cellWord = Math.floor(j / WORD_BITS);
+
+    let minI, maxI, minWord, maxWord;
+    if (this.height === 0) {
+      minI = i - rowMargin;
+      maxI = i + rowMargin;
+      minWord = cellWord - wordMargin;
+      maxWord = cellWord + wordMargin;
+    } else {
+      const oldMaxI = this.minI + this.height - 1;
+      const oldMinWord = this.minJ / WORD_BITS;
+      const oldMaxWord = oldMinWord + this.stride - 1;
+      minI = i < this.minI ? i - rowMargin : this.minI;
+      maxI = i > oldMaxI ? i + rowMargin : oldMaxI;
+      minWord = cellWord < oldMinWord ? cellWord - wordMargin : oldMinWord;
+      maxWord = cellWord > oldMaxWord ? cellWord + wordMargin : oldMaxWord;
+    }
+
+    this._resize(minI, maxI - minI + 1, minWord, maxWord - minWord + 1);
+  }
+
+  /**
+   * Release the room reserved for growing
+   * Worth calling once a grid is fully built, as scans cover the whole stored area.
+   * @returns {BitGrid} this
+   */
+  trim() {
+    const extent = this.extent();
+    if (!extent) {
+      this._resize(0, 0, 0, 0);
+      return this;
+    }
+
+    const minWord = Math.floor(extent.minJ / WORD_BITS);
+    const maxWord = Math.floor(extent.maxJ / WORD_BITS);
+    this._resize(extent.minI, extent.maxI - extent.minI + 1, minWord, maxWord - minWord + 1);
+    return this;
+  }
+
+  /**
+   * Whether cell (i, j) is set
+   * @param {number} i - Row index
+   * @param {number} j - Column index
+   * @returns {boolean}
+   */
+  hasCell(i, j) {
+    const index = this._wordIndex(i, j);
+    return index !== -1 && (this.words[index] & (1 << (j & 31))) !== 0;
+  }
+
+  /**
+   * Set cell (i, j)
+   * @param {number} i - Row index
+   * @param {number} j - Column index
+   * @returns {boolean} Whether the cell was newly set
+   */
+  addCell(i, j) {
+    let index = this._wordIndex(i, j);
+    if (index === -1) {
+      this._grow(i, j);
+      index = this._wordIndex(i, j);
+    }
+
+    const bit = 1 << (j & 31);
+    if (this.words[index] & bit) return false;
+    this.words[index] |= bit;
+    this.count++;
+    return true;
+  }
+
+  /**
+   * Clear cell (i, j)
+   * @param {number} i - Row index
+   * @param {number} j - Column index
+   * @returns {boolean} Whether the cell was set before
+   */
+  deleteCell(i, j) {
+    const index = this._wordIndex(i, j);
+    const bit = 1 << (j & 31);
+    if (index === -1 || !(this.words[index] & bit)) return false;
+    this.words[index] &= ~bit;
+    this.count--;
+    return true;
+  }
+
+  /**
+   * Call callback(i, j) for every set cell, row by row from the south and west to east
+   * @param {Function} callback - Receives row and column index
+   */
+  forEachCell(callback) {
+    const { words, stride, minI, minJ } = this;
+    for (let row = 0; row < this.height; row++) {
+      const i = row + minI;
+      for (let word = 0; word < stride; word++) {
+        let bits = words[row * stride + word];
+        while (bits !== 0) {
+          const lowest = bits & -bits;
+          callback(i, minJ + word * WORD_BITS + 31 - Math.clz32(lowest));
+          bits ^= lowest;
+        }
+      }
+    }
+  }
+
+  /**
+   * Bounding box of the set cells
+   * @returns {Object|null} {minI, maxI, minJ, maxJ} or null for an empty grid
+   */
+  extent() {
+    if (this.count === 0) return null;
+
+    const { words, stride } = this;
+    let minI = Infinity, maxI = -Infinity, minJ = Infinity, maxJ = -Infinity;
+
+    for (let row = 0; row < this.height; row++) {
+      for (let word = 0; word < stride; word++) {
+        const bits = words[row * stride + word];
+        if (bits === 0) continue;
+
+        const i = row + this.minI;
+        const firstJ = this.minJ + word * WORD_BITS;
+        if (i < minI) minI = i;
+        if (i > maxI) maxI = i;
+        minJ = Math.min(minJ, firstJ + 31 - Math.clz32(bits & -bits));
+        maxJ = Math.max(maxJ, firstJ + 31 - Math.clz32(bits));
+      }
+    }
+
+    return { minI, maxI, minJ, maxJ };
+  }
+
+  /**
+   * Independent copy of the grid
+   * @returns {BitGrid}
+   */
+  clone() {
+    return BitGrid.from({ ...this, words: this.words.slice() });
+  }
+
+  // ===== Set API with "i,j" keys =====
+
+  has(key) {
+    const [i, j] = parseKey(key);
+    return this.hasCell(i, j);
+  }
+
+  add(key) {
+    const [i, j] = parseKey(key);
+    this.addCell(i, j);
+    return this;
+  }
+
+  delete(key) {
+    const [i, j] = parseKey(key);
+    return this.deleteCell(i, j);
+  }
+
+  clear() {
+    this.words.fill(0);
+    this.count = 0;
+  }
+
+  forEach(callback) {
+    this.forEachCell((i, j) => {
+      const key = `${i},${j}`;
+      callback(key, key, this);
+    });
+  }
+
+  keys() {
+    const keys = [];
+    this.forEachCell((i, j) => keys.push(`${i},${j}`));
+    return keys[Symbol.iterator]();
+  }
+
+  values() {
+    return this.keys();
+  }
+
+  [Symbol.iterator]() {
+    return this.keys();
+  }
+}
@@ -114,6 +114,24 @@ export function expandBounds(bounds, margin) {
   };
 }
 
+/**
+ * Shrink bounds on every side by a fraction of their height/width
+ * @param {Object|Array} bounds - Bounds in any format
+ * @param {number} fraction - Fraction of the size to remove per side (0-0.5)
+ * @returns {Object} Shrunk bounds {south, north, east, west}
+ */
+export function shrinkBounds(bounds, fraction) {
+  const normalized = normalizeBounds(bounds);
+  const latMargin = (normalized.north - normalized.south) * fraction;
+  const lonMargin = (normalized.east - normalized.west) * fraction;
+  return {
+    south: normalized.south + latMargin,
+    north: normalized.north - latMargin,
+    west: normalized.west + lonMargin,
+    east: normalized.east - lonMargin
+  };
+}
+
 /**
  * Combine multiple bounds into one that encompasses all
  * @param {Array} boundsArray - Array of bounds in any format
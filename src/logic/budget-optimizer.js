@@ -0,0 +1,219 @@
+import * as turf from '@turf/turf';
+import { CONFIG } from './config.js';
+import { cellCenter } from './tile-math.js';
+import { solveTSP, twoOptOptimize, calculateRouteDistance } from './tsp-solver.js';
+import { scoreCandidates, pinnedCandidates, buildProposal } from './optimizer.js';
+
+/**
+ * Distance-budget optimization (prize-collecting tour)
+ *
+ * Picks the squares and their visiting order that maximise the summed
+ * optimizer score while the estimated ride stays within a budget. Tours are
+ * built by cheapest insertion, always adding the square with the best score
+ * per extra kilometre, and finally tightened with the 2-opt of tsp-solver.js.
+ * Distances are straight lines scaled by CONFIG.ROUTE_DETOUR_FACTOR.
+ */
+
+/**
+ * Convert a time budget into a distance budget
+ * @param {number} hours - Riding time in hours
+ * @param {string} bikeType - Routing profile
+ * @returns {number} Distance budget in km
+ */
+export function hoursToKm(hours, bikeType) {
+  const speed = CONFIG.AVERAGE_SPEED_KMH[bikeType] ?? CONFIG.AVERAGE_SPEED_KMH.trekking;
+  return hours * speed;
+}
+
+/**
+ * Estimate the riding distance to collect a set of squares
+ * Straight-line TSP tour through the square centers, scaled by CONFIG.ROUTE_DETOUR_FACTOR.
+ * @param {Array} squares - Array of {i, j}
+ * @param {Object} startPoint - {lat, lon}
+ * @param {Object} gridParams - Grid parameters
+ * @param {boolean} roundtrip - Whether the tour returns to the start
+ * @returns {number} Estimated distance in km
+ */
+export function estimateRideDistance(squares, startPoint, gridParams, roundtrip = true) {
+  if (squares.length === 0) return 0;
+
+  const points = squares.map(s => cellCenter(s.i, s.j, gridParams));
+  const optimize = points.length <= CONFIG.TSP_ESTIMATE_OPTIMIZE_LIMIT;
+  const { distance } = solveTSP(points, startPoint, roundtrip, optimize);
+
+  return distance * CONFIG.ROUTE_DETOUR_FACTOR;
+}
+
+/**
+ * Pairwise straight-line distances between points
+ * @param {Array} points - Array of {lat, lon}
+ * @returns {Array} Matrix of distances in km
+ */
+function buildDistanceMatrix(points) {
+  const turfPoints = points.map(p => turf.point([p.lon, p.lat]));
+  const matrix = points.map(() => new Array(points.length).fill(0));
+
+  for (let a = 0; a < points.length; a++) {
+    for (let b = a + 1; b < points.length; b++) {
+      const d = turf.distance(turfPoints[a], turfPoints[b]);
+      matrix[a][b] = d;
+      matrix[b][a] = d;
+    }
+  }
+
+  return matrix;
+}
+
+/**
+ * Cheapest position to insert a point into a tour (or append on one-way rides)
+ * @param {Array} tour - Point indices, starting at the start point (0)
+ * @param {number} candidate - Point index to insert
+ * @param {Array} dist - Distance matrix
+ * @param {boolean} roundtrip - Whether the tour returns to the start
+ * @returns {Object} {extra, position} - Added km and insert position
+ */
+function cheapestInsertion(tour, candidate, dist, roundtrip) {
+  let extra = Infinity;
+  let position = -1;
+
+  for (let k = 0; k < tour.length - 1; k++) {
+    const cost = dist[tour[k]][candidate] + dist[candidate][tour[k + 1]] - dist[tour[k]][tour[k + 1]];
+    if (cost < extra) {
+      extra = cost;
+      position = k + 1;
+    }
+  }
+  if (!roundtrip) {
+    const cost = dist[tour[tour.length - 1]][candidate];
+    if (cost < extra) {
+      extra = cost;
+      position = tour.length;
+    }
+  }
+
+  return { extra, position };
+}
+
+/**
+ * Select squares within a distance budget
+ * Pinned squares are always part of the tour, even if they alone exceed the budget.
+ *
+ * @param {Array} scored - Scored candidates from scoreCandidates, best first
+ * @param {Object} startPoint - Start point {lat, lon}
+ * @param {number} budgetKm - Maximum estimated ride length in km
+ * @param {Object} gridParams - Grid parameters
+ * @param {boolean} roundtrip - Whether the ride returns to the start
+ * @param {Array} pinned - Pinned candidates (see pinnedCandidate in optimizer.js)
+ * @returns {Object} {selected, distance} - Candidates in visiting order and estimated km
+ */
+export function selectWithinBudget(scored, startPoint, budgetKm, gridParams, roundtrip = true, pinned = []) {
+  const pinnedKeys = new Set(pinned.map(c => c.key));
+  const pool = [
+    ...pinned,
+    ...scored
+      .filter(c => c.score > 0 && !pinnedKeys.has(c.key))
+      .slice(0, CONFIG.BUDGET_CANDIDATE_POOL)
+  ];
+
+  // Index 0 is the start, candidates follow
+  const points = [startPoint, ...pool.map(c => cellCenter(c.i, c.j, gridParams))];
+  const dist = buildDistanceMatrix(points);
+  const detour = CONFIG.ROUTE_DETOUR_FACTOR;
+
+  const tour = roundtrip ? [0, 0] : [0];
+  let length = 0;
+  const remaining = new Set(pool.map((_, index) => index + 1));
+
+  for (let candidate = 1; candidate <= pinned.length; candidate++) {
+    const { extra, position } = cheapestInsertion(tour, candidate, dist, roundtrip);
+    tour.splice(position, 0, candidate);
+    length += extra;
+    remaining.delete(candidate);
+  }
+
+  while (remaining.size > 0) {
+    let best = null;
+
+    for (const candidate of remaining) {
+      const { extra, position } = cheapestInsertion(tour, candidate, dist, roundtrip);
+
+      if ((length + extra) * detour > budgetKm) continue;
+
+      const ratio = pool[candidate - 1].score / Math.max(extra, 0.001);
+      if (!best || ratio > best.ratio) {
+        best = { candidate, position, extra, ratio };
+      }
+    }
+
+    if (!best) break;
+
+    tour.splice(best.position, 0, best.candidate);
+    length += best.extra;
+    remaining.delete(best.candidate);
+  }
+
+  if (tour.length <= (roundtrip ? 2 : 1)) {
+    return { selected: [], distance: 0 };
+  }
+
+  const route = twoOptOptimize(tour.map(index => ({ ...points[index], index })));
+  const selected = route
+    .filter(p => p.index > 0)
+    .map(p => pool[p.index - 1]);
+
+  return {
+    selected,
+    distance: calculateRouteDistance(route) * detour
+  };
+}
+
+/**
+ * Budget counterpart of optimizeSquare: score candidates and fill a ride budget
+ *
+ * @param {Object} params
+ * @param {Object} params.base - Übersquadrat bounds {minI, maxI, minJ, maxJ}
+ * @param {number} params.budgetKm - Maximum estimated ride length in km
+ * @param {Object} params.startPoint - Start point {lat, lon}
+ * @param {boolean} params.roundtrip - Whether the ride returns to the start
+ * @param {Array} params.directions - Selected directions ['N', 'S', 'E', 'W']
+ * @param {BitGrid|Iterable} params.visitedSet - Visited squares (see BitGrid.from)
+ * @param {Object} params.gridParams - Grid parameters
+ * @param {string|Object} params.mode - Scoring preset id or weights object
+ * @param {number} params.maxHoleSize - Maximum hole size
+ * @param {Set|null} params.excludedSet - Set of "i,j" unreachable squares (exclusion zones)
+ * @param {Array} params.pinnedKeys - "i,j" keys of manually pinned squares
+ * @param {number} params.searchRadius - Layers around the Übersquadrat scanned for candidates
+ * @returns {Object} {rectangles, metadata, clusterCount, candidates, distance}
+ */
+export function optimizeWithinBudget({
+  base,
+  budgetKm,
+  startPoint,
+  roundtrip = true,
+  directions = ['N', 'S', 'E', 'W'],
+  visitedSet,
+  gridParams,
+  mode = 'balanced',
+  maxHoleSize = 5,
+  excludedSet = null,
+  pinnedKeys = [],
+  searchRadius = CONFIG.SEARCH_RADIUS
+}) {
+  const scored = scoreCandidates({
+    base, directions, visitedSet, gridParams, mode, maxHoleSize, excludedSet, searchRadius
+  });
+  const { selected, distance } = selectWithinBudget(
+    scored,
+    startPoint,
+    budgetKm,
+    gridParams,
+    roundtrip,
+    pinnedCandidates(pinnedKeys, scored, base, gridParams)
+  );
+
+  return {
+    ...buildProposal(selected, gridParams),
+    candidates: scored,
+    distance
+  };
+}
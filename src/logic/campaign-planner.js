@@ -0,0 +1,111 @@
+import { CONFIG } from './config.js';
+import { cellCenter } from './tile-math.js';
+import { scoreCandidates, selectCandidates, buildProposal } from './optimizer.js';
+import { selectWithinBudget, estimateRideDistance } from './budget-optimizer.js';
+import { findLargestSquare } from './visited-analysis.js';
+import { BitGrid } from './bit-grid.js';
+
+/**
+ * Multi-ride campaign planner
+ *
+ * Simulates successive rides: the squares proposed for a ride are marked as
+ * visited, the Übersquadrat is re-derived and the next ride is optimized on
+ * the updated grid.
+ */
+
+/**
+ * Side length of a square
+ * @param {Object} square - {minI, maxI}
+ * @returns {number}
+ */
+function squareSize(square) {
+  return square.maxI - square.minI + 1;
+}
+
+/**
+ * Plan a series of rides
+ *
+ * @param {Object} params
+ * @param {Object} params.base - Übersquadrat bounds {minI, maxI, minJ, maxJ}
+ * @param {BitGrid|Iterable} params.visitedSet - Visited squares, see BitGrid.from (not modified)
+ * @param {Object} params.gridParams - Grid parameters
+ * @param {number} params.rides - Number of rides to plan
+ * @param {Object} params.selection - {type: 'count', numSquares} or {type: 'budget', budgetKm}
+ * @param {Object|null} params.startPoint - Start point {lat, lon}; required for budget selection
+ * @param {boolean} params.roundtrip - Whether rides return to the start
+ * @param {Array} params.directions - Selected directions ['N', 'S', 'E', 'W']
+ * @param {string|Object} params.mode - Scoring preset id or weights object
+ * @param {number} params.maxHoleSize - Maximum hole size
+ * @param {number} params.compactness - Compactness weight for count selection (0-1)
+ * @param {Set|null} params.excludedSet - Set of "i,j" unreachable squares (exclusion zones)
+ * @param {number} params.searchRadius - Layers around the Übersquadrat scanned for candidates
+ * @param {Function} params.onProgress - Optional callback (rideNumber, rides) before each ride
+ * @returns {Object} {rides, totalDistance, totalSquares, finalUbersquadratSize}
+ */
+export function planCampaign({
+  base,
+  visitedSet,
+  gridParams,
+  rides,
+  selection,
+  startPoint = null,
+  roundtrip = true,
+  directions = ['N', 'S', 'E', 'W'],
+  mode = 'balanced',
+  maxHoleSize = 5,
+  compactness = 0,
+  excludedSet = null,
+  searchRadius = CONFIG.SEARCH_RADIUS,
+  onProgress = null
+}) {
+  if (selection.type === 'budget' && !startPoint) {
+    throw new Error('Für eine Kampagne mit Budget wird ein Startpunkt benötigt');
+  }
+
+  const origin = startPoint || cellCenter((base.minI + base.maxI) / 2, (base.minJ + base.maxJ) / 2, gridParams);
+  const visited = BitGrid.from(visitedSet).clone();
+  let currentBase = base;
+  const planned = [];
+
+  for (let number = 1; number <= rides; number++) {
+    if (onProgress) onProgress(number, rides);
+
+    const scored = scoreCandidates({
+      base: currentBase, directions, visitedSet: visited, gridParams, mode, maxHoleSize, excludedSet, searchRadius
+    });
+
+    let selected;
+    let distance;
+    if (selection.type === 'budget') {
+      ({ selected, distance } = selectWithinBudget(scored, origin, selection.budgetKm, gridParams, roundtrip));
+    } else {
+      selected = selectCandidates(scored, selection.numSquares, compactness);
+      distance = estimateRideDistance(selected, origin, gridParams, roundtrip);
+    }
+
+    if (selected.length === 0) break;
+
+    selected.forEach(s => visited.addCell(s.i, s.j));
+
+    const largest = findLargestSquare(visited);
+    if (largest && largest.size > squareSize(currentBase)) {
+      const { minI, maxI, minJ, maxJ } = largest;
+      currentBase = { minI, maxI, minJ, maxJ };
+    }
+
+    planned.push({
+      number,
+      ...buildProposal(selected, gridParams),
+      distance,
+      ubersquadratSize: squareSize(currentBase),
+      visitedCount: visited.size
+    });
+  }
+
+  return {
+    rides: planned,
+    totalDistance: planned.reduce((sum, ride) => sum + ride.distance, 0),
+    totalSquares: planned.reduce((sum, ride) => sum + ride.rectangles.length, 0),
+    finalUbersquadratSize: squareSize(currentBase)
+  };
+}
@@ -2,24 +2,62 @@
 
 export const CONFIG = {
   // Grid Configuration
-  SCAN_RADIUS_RANGE: 20,      // Extra squares beyond ubersquadrat for scanning visited squares
-  GRID_DISPLAY_RANGE: 350,     // Extra squares to display in grid visualization
-  GRID_CELL_CENTER_OFFSET: 0.5, // Offset to calculate cell center (0.5 = middle of cell)
+  SQUADRAT_ZOOM: 14,          // Slippy-map zoom level of a squadrat tile
+  SQUADRATINHO_ZOOM: 17,      // Slippy-map zoom level of a squadratinho tile (8x finer)
+  SCAN_RADIUS_RANGE: 20,      // Largest selectable search radius (in squares) around the ubersquadrat
+  SEARCH_RADIUS: 5,           // Default number of layers around the ubersquadrat scanned for candidates
+  HOLE_SIZE_LIMITS: [3, 10],  // Default upper size of small and medium holes; bigger holes are large
+  TRACK_MAX_GAP_KM: 2,        // Longer gaps between track points are not interpolated (GPS dropouts)
+  COMPACTNESS_BONUS: 6000,    // Score bonus for a square next to an earlier pick at full compactness weight
+  EXPANSION_MAX_K: 5,         // Largest growth step offered by the expansion planner
+  TSP_ESTIMATE_OPTIMIZE_LIMIT: 60, // Skip 2-opt for distance estimates above this many squares
+  CAMPAIGN_MAX_RIDES: 12,     // Maximum number of rides in a campaign
 
   // Grid Line Styling
   GRID_LINE_COLOR: '#555555',
   GRID_LINE_OPACITY: 0.3,
   GRID_VERTICAL_COLOR: '#888888',
   GRID_VERTICAL_OPACITY: 0.2,
+  GRID_MIN_LINE_PX: 6,        // Grid lines are hidden when cells get smaller than this on screen
+  GRID_MIN_SHADE_PX: 2,       // Cell shading is hidden when cells get smaller than this on screen
+
+  // Cell Shading (canvas grid layer)
+  GRID_SHADE_VISITED_COLOR: '#00c853',
+  GRID_SHADE_UNVISITED_COLOR: '#9e9e9e',
+  // Hole shading by size class
+  HOLE_CLASS_COLORS: {
+    small: '#ff1744',
+    medium: '#ff9100',
+    large: '#651fff'
+  },
+  GRID_SHADE_OPACITY: 0.35,
+  LARGE_FILE_CELL_COUNT: 50000, // Above this many visited cells the KML polygons are replaced by canvas shading
 
   // Map Feature Colors
   UBERSQUADRAT_COLOR: '#0000ff',
   UBERSQUADRAT_OPACITY: 0.1,
+  DERIVED_UBERSQUADRAT_COLOR: '#ff00aa',
+  CLUSTER_COLOR: '#0066ff',
+  CLUSTER_OPACITY: 0.25,
   PROPOSED_COLOR: '#ffd700',
   PROPOSED_OPACITY: 0.3,
   VISITED_COLOR: '#00ff00',
   VISITED_BORDER_COLOR: '#007700',
   VISITED_OPACITY: 0.1,
+  SQUADRATINHO_COLOR: '#ff8500',
+  TRACK_COLOR: '#e65100',
+  TRACK_VISITED_COLOR: '#00bcd4',
+  TRACK_VISITED_OPACITY: 0.45,
+  SNAPSHOT_NEW_COLOR: '#e91e63',
+  SNAPSHOT_NEW_OPACITY: 0.5,
+  CAMPAIGN_COLORS: ['#e53935', '#8e24aa', '#1e88e5', '#00897b', '#fdd835', '#fb8c00'],
+  CAMPAIGN_OPACITY: 0.45,
+  EXCLUSION_COLOR: '#455a64',
+  SIMULATED_VISITED_COLOR: '#7cb342',
+  SIMULATED_REMOVED_COLOR: '#d81b60',
+  SIMULATED_OPACITY: 0.55,
+  HEATMAP_OPACITY: 0.5,
+  HEATMAP_FILTERED_COLOR: '#9e9e9e', // Candidates outside the selected directions
 
   // Routing Configuration
   ROUTE_LINE_COLOR: '#f700ffff',
@@ -29,5 +67,24 @@ export const CONFIG = {
   START_MARKER_RADIUS: 8,
   MAX_ROUTE_WAYPOINTS: 50,
   MAX_WAYPOINT_MARKERS: 33,
-  BROUTER_API_URL: 'https://brouter.de/brouter'
+  ROUTE_DETOUR_FACTOR: 1.3,   // Road distance / straight-line distance for route estimates
+  // Average riding speed per routing profile, used to turn a time budget into km
+  AVERAGE_SPEED_KMH: {
+    trekking: 18,
+    'hiking-mountain': 14,
+    fastbike: 25
+  },
+  BUDGET_CANDIDATE_POOL: 150, // Best-scored squares considered by the budget optimizer
+  // Fraction of the cell size kept free along cell borders when placing waypoints
+  WAYPOINT_MARGIN: {
+    squadrat: 0,
+    squadratinho: 0.2
+  },
+  // Default instances of the routing backends (see routing-backends.js)
+  ROUTING_URLS: {
+    brouter: 'https://brouter.de/brouter',
+    osrm: 'https://routing.openstreetmap.de/routed-bike',
+    graphhopper: 'https://graphhopper.com/api/1',
+    valhalla: 'https://valhalla1.openstreetmap.de'
+  }
 };
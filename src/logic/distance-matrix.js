@@ -0,0 +1,149 @@
+import { CONFIG } from './config.js';
+import { greatCircleDistance } from './tsp-solver.js';
+import { snapToGraph, roadDistances } from './offline-router.js';
+
+/**
+ * Road network distances for the visit order
+ *
+ * The TSP solver asks for distances pair by pair. Before each ordering pass,
+ * prefetch(points) measures all pairs of the points the pass can use, from
+ * one source: the matrix service of the routing backend (OSRM, Valhalla) where
+ * it has one and all points fit into a request, otherwise the road graph of the
+ * fetched Overpass data. Pairs without a road connection are estimated from the
+ * straight line and ROUTE_DETOUR_FACTOR.
+ *
+ * Backend distances are cached for the lifetime of the module, so calculating a
+ * route again (same worker, same squares) reuses them. Graph distances depend on
+ * the downloaded roads and are only kept for one route calculation.
+ */
+
+const MAX_CACHED_DISTANCES = 50000;
+// Most public matrix services refuse larger tables
+const MAX_MATRIX_POINTS = 100;
+
+const backendCache = new Map();
+
+function pointKey(point) {
+  return `${point.lat.toFixed(6)},${point.lon.toFixed(6)}`;
+}
+
+function cacheBackendDistance(key, distance) {
+  if (backendCache.size >= MAX_CACHED_DISTANCES) {
+    // Maps iterate in insertion order, so this drops the oldest entry
+    backendCache.delete(backendCache.keys().next().value);
+  }
+  backendCache.set(key, distance);
+}
+
+/**
+ * Create the distance function of one route calculation
+ * @param {Object} options - {graph, backend, backendUrl, profile}
+ *   graph: road graph from buildRoadGraph or null,
+ *   backend/backendUrl/profile: routing backend whose matrix service is used, if it has one
+ * @returns {Object} {distance(a, b), prefetch(points), sources}
+ *   distance: road distance in km, usable as metric of the TSP solver
+ *   prefetch: async, measures all pairs of points and picks the source for the following pass
+ *   sources: how many distances came from 'backend', 'graph' and 'estimate'
+ */
+export function createDistanceMatrix({ graph = null, backend = null, backendUrl = '', profile = '' } = {}) {
+  const backendPrefix = backend?.matrix ? `${backend.id}|${backendUrl}|${profile}|` : null;
+  const graphCache = new Map();
+  const snapped = new Map();
+  const sources = { backend: 0, graph: 0, estimate: 0 };
+  // Whether the current pass uses the backend matrix (set by prefetch)
+  let useBackend = false;
+
+  function snap(point, key) {
+    if (!snapped.has(key)) snapped.set(key, graph ? snapToGraph(graph, point) : -1);
+    return snapped.get(key);
+  }
+
+  function hasBackendPairs(keys) {
+    return keys.every(a => keys.every(b => a === b || backendCache.has(backendPrefix + a + '|' + b)));
+  }
+
+  async function fetchBackendMatrix(points, keys) {
+    if (!backendPrefix || keys.length > MAX_MATRIX_POINTS) return false;
+    if (hasBackendPairs(keys)) return true;
+
+    try {
+      const matrix = await backend.matrix(points, profile, backendUrl);
+      keys.forEach((from, i) => keys.forEach((to, j) => {
+        if (i !== j && matrix[i]?.[j] != null) cacheBackendDistance(backendPrefix + from + '|' + to, matrix[i][j]);
+      }));
+    } catch (error) {
+      return false;
+    }
+    // Unreachable pairs are missing, the pass then uses the graph for every pair
+    return hasBackendPairs(keys);
+  }
+
+  /**
+   * One search per point over the road graph, to all other points
+   */
+  function measureOnGraph(points, keys) {
+    const nodes = points.map((point, index) => snap(point, keys[index]));
+    const offRoad = points.map((point, index) => nodes[index] === -1 ? 0
+      : greatCircleDistance(point, { lat: graph.lat[nodes[index]], lon: graph.lon[nodes[index]] }));
+
+    keys.forEach((from, i) => {
+      if (nodes[i] === -1) return;
+      const missing = keys.map((to, j) => j).filter(j => j !== i && nodes[j] !== -1 && !graphCache.has(from + '|' + keys[j]));
+      if (missing.length === 0) return;
+
+      const lengths = roadDistances(graph, nodes[i], missing.map(j => nodes[j]));
+      missing.forEach((j, k) => {
+        const distance = lengths[k] + offRoad[i] + offRoad[j];
+        // Roads can be ridden both ways
+        graphCache.set(from + '|' + keys[j], distance);
+        graphCache.set(keys[j] + '|' + from, distance);
+      });
+    });
+  }
+
+  function distance(a, b) {
+    const keyA = pointKey(a);
+    const keyB = pointKey(b);
+    if (keyA === keyB) return 0;
+
+    const pair = keyA + '|' + keyB;
+    if (useBackend) {
+      const cached = backendCache.get(backendPrefix + pair);
+      if (cached !== undefined) {
+        sources.backend++;
+        return cached;
+      }
+    }
+
+    if (graph && !graphCache.has(pair)) {
+      measureOnGraph([a, b], [keyA, keyB]);
+    }
+    const road = graphCache.get(pair);
+    if (road !== undefined && Number.isFinite(road)) {
+      sources.graph++;
+      return road;
+    }
+
+    sources.estimate++;
+    return greatCircleDistance(a, b) * CONFIG.ROUTE_DETOUR_FACTOR;
+  }
+
+  async function prefetch(points) {
+    const keys = [];
+    const unique = [];
+    for (const point of points) {
+      const key = pointKey(point);
+      if (!keys.includes(key)) {
+        keys.push(key);
+        unique.push(point);
+      }
+    }
+
+    useBackend = unique.length > 1 && await fetchBackendMatrix(unique, keys);
+    if (!useBackend && graph) {
+      measureOnGraph(unique, keys);
+    }
+  }
+
+  return { distance, prefetch, sources };
+}
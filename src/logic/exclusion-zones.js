@@ -0,0 +1,165 @@
+import toGeoJSON from '@mapbox/togeojson';
+import { extractPolygons } from './kml-processor.js';
+import { rasterizePolygons } from './rasterizer.js';
+import { tileToCell } from './tile-math.js';
+
+const STORAGE_KEY_ZONES = 'squadrats_exclusion_zones';
+
+/**
+ * Exclusion zones for unreachable areas (lakes, military areas, private land, ...)
+ *
+ * A zone is {id, name, polygons} with polygons {outer, holes} in [lat, lon]
+ * coordinates, like the polygons of kml-processor.js. A grid cell is excluded
+ * when its center lies inside a zone (same rule as for visited squares).
+ */
+
+let nextZoneId = 1;
+
+/**
+ * Unique id for a new zone
+ * @returns {string}
+ */
+function createZoneId() {
+  return `zone-${Date.now().toString(36)}-${nextZoneId++}`;
+}
+
+/**
+ * Create a zone from a drawn outline
+ * @param {Array} outline - Array of [lat, lon] vertices (at least 3)
+ * @param {string} name - Display name
+ * @returns {Object} Zone {id, name, polygons}
+ */
+export function createExclusionZone(outline, name) {
+  if (outline.length < 3) {
+    throw new Error('Eine Sperrzone braucht mindestens drei Punkte');
+  }
+  return {
+    id: createZoneId(),
+    name,
+    polygons: [{ outer: outline, holes: [] }]
+  };
+}
+
+/**
+ * Convert a GeoJSON ring ([lon, lat]) to [lat, lon]
+ */
+function swapRing(ring) {
+  return ring.map(([lon, lat]) => [lat, lon]);
+}
+
+/**
+ * Turn the polygon features of a GeoJSON FeatureCollection into zones
+ * @param {Object} geojson - FeatureCollection, Feature or geometry
+ * @returns {Array} Zones
+ */
+function zonesFromGeoJson(geojson) {
+  const features = geojson.type === 'FeatureCollection'
+    ? geojson.features
+    : geojson.type === 'Feature' ? [geojson] : [{ type: 'Feature', properties: {}, geometry: geojson }];
+
+  const zones = [];
+  features.forEach((feature, index) => {
+    if (!feature?.geometry) return;
+
+    const polygons = extractPolygons(feature.geometry).map(polygon => ({
+      outer: swapRing(polygon.outer),
+      holes: polygon.holes.map(swapRing)
+    }));
+    if (polygons.length === 0) return;
+
+    zones.push({
+      id: createZoneId(),
+      name: feature.properties?.name || `Sperrzone ${index + 1}`,
+      polygons
+    });
+  });
+
+  return zones;
+}
+
+/**
+ * Parse exclusion zones from a GeoJSON or KML file
+ * @param {string} content - File content
+ * @param {string} filename - File name (used to detect the format)
+ * @returns {Array} Zones
+ */
+export function parseExclusionZones(content, filename = '') {
+  const isKml = filename.toLowerCase().endsWith('.kml') || content.trim().startsWith('<');
+  let geojson;
+
+  if (isKml) {
+    const dom = new DOMParser().parseFromString(content, 'text/xml');
+    if (dom.getElementsByTagName('parsererror').length > 0) {
+      throw new Error('Ungültige KML-Datei');
+    }
+    geojson = toGeoJSON.kml(dom);
+  } else {
+    try {
+      geojson = JSON.parse(content);
+    } catch (e) {
+      throw new Error('Ungültige GeoJSON-Datei');
+    }
+  }
+
+  const zones = zonesFromGeoJson(geojson);
+  if (zones.length === 0) {
+    throw new Error('Die Datei enthält keine Polygone');
+  }
+  return zones;
+}
+
+/**
+ * Grid cells whose center lies inside any zone
+ * @param {Array} zones - Exclusion zones
+ * @param {Object} gridParams - Grid parameters {zoom, originX, originY}
+ * @returns {Set} Set of "i,j" keys
+ */
+export function getExcludedCells(zones, gridParams) {
+  const excluded = new Set();
+  if (!gridParams?.zoom) return excluded;
+
+  for (const zone of zones) {
+    rasterizePolygons(zone.polygons, gridParams.zoom, (x, y) => {
+      const { i, j } = tileToCell(x, y, gridParams);
+      excluded.add(`${i},${j}`);
+    });
+  }
+
+  return excluded;
+}
+
+// ===== PERSISTENCE =====
+
+/**
+ * Load the exclusion zones saved for a squadrats file
+ * @param {string|null} filename - Name of the loaded squadrats file
+ * @returns {Array} Zones
+ */
+export function loadExclusionZones(filename) {
+  if (!filename) return [];
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY_ZONES) || '{}');
+    return Array.isArray(stored[filename]) ? stored[filename] : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Save the exclusion zones of a squadrats file
+ * @param {string|null} filename - Name of the loaded squadrats file
+ * @param {Array} zones - Zones
+ */
+export function saveExclusionZones(filename, zones) {
+  if (!filename) return;
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY_ZONES) || '{}');
+    if (zones.length > 0) {
+      stored[filename] = zones;
+    } else {
+      delete stored[filename];
+    }
+    localStorage.setItem(STORAGE_KEY_ZONES, JSON.stringify(stored));
+  } catch (error) {
+  }
+}
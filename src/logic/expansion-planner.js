@@ -0,0 +1,123 @@
+import { cellBounds, cellCenter, cellToTile } from './tile-math.js';
+import { estimateRideDistance } from './budget-optimizer.js';
+import { BitGrid } from './bit-grid.js';
+
+/**
+ * Übersquadrat expansion planner
+ *
+ * Growing the Übersquadrat from N×N to (N+k)×(N+k) means adding k rows and k
+ * columns on one of four corners. For every corner and every k the planner
+ * lists the unvisited squares of the target square and estimates the riding
+ * distance to collect them.
+ */
+
+// Growth direction per corner: sign of the added rows (i) and columns (j)
+const CORNERS = {
+  NE: { rows: 1, cols: 1 },
+  NW: { rows: 1, cols: -1 },
+  SE: { rows: -1, cols: 1 },
+  SW: { rows: -1, cols: -1 }
+};
+
+/**
+ * Target square when growing the base by k on a corner
+ * @param {Object} base - Übersquadrat bounds {minI, maxI, minJ, maxJ}
+ * @param {string} corner - 'NE', 'NW', 'SE' or 'SW'
+ * @param {number} k - Number of added rows and columns
+ * @returns {Object} {minI, maxI, minJ, maxJ}
+ */
+export function getExpansionTarget(base, corner, k) {
+  const { rows, cols } = CORNERS[corner];
+  return {
+    minI: rows < 0 ? base.minI - k : base.minI,
+    maxI: rows > 0 ? base.maxI + k : base.maxI,
+    minJ: cols < 0 ? base.minJ - k : base.minJ,
+    maxJ: cols > 0 ? base.maxJ + k : base.maxJ
+  };
+}
+
+/**
+ * Unvisited squares inside a square
+ * @param {Object} square - {minI, maxI, minJ, maxJ}
+ * @param {BitGrid} visited - Visited squares
+ * @returns {Array} Array of {i, j, key}
+ */
+function findMissingSquares(square, visited) {
+  const missing = [];
+  for (let i = square.minI; i <= square.maxI; i++) {
+    for (let j = square.minJ; j <= square.maxJ; j++) {
+      if (!visited.hasCell(i, j)) missing.push({ i, j, key: `${i},${j}` });
+    }
+  }
+  return missing;
+}
+
+/**
+ * List all expansion options up to maxK
+ * Without a start point the distance is measured from the center of the Übersquadrat.
+ * @param {Object} base - Übersquadrat bounds {minI, maxI, minJ, maxJ}
+ * @param {BitGrid|Iterable} visitedSet - Visited squares (see BitGrid.from)
+ * @param {Object} gridParams - Grid parameters
+ * @param {Object} options - {maxK, startPoint, roundtrip}
+ * @returns {Array} Options {id, corner, k, size, target, missing, missingCount, distance}
+ */
+export function planExpansions(base, visitedSet, gridParams, { maxK = 3, startPoint = null, roundtrip = true } = {}) {
+  const visited = BitGrid.from(visitedSet);
+  const origin = startPoint || cellCenter((base.minI + base.maxI) / 2, (base.minJ + base.maxJ) / 2, gridParams);
+  const baseSize = base.maxI - base.minI + 1;
+  const options = [];
+
+  for (let k = 1; k <= maxK; k++) {
+    for (const corner of Object.keys(CORNERS)) {
+      const target = getExpansionTarget(base, corner, k);
+      const missing = findMissingSquares(target, visited);
+
+      options.push({
+        id: `${corner}-${k}`,
+        corner,
+        k,
+        size: baseSize + k,
+        target,
+        missing,
+        missingCount: missing.length,
+        distance: estimateRideDistance(missing, origin, gridParams, roundtrip)
+      });
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Sort expansion options
+ * @param {Array} options - Result of planExpansions
+ * @param {string} sortBy - 'count' (fewest missing squares first) or 'distance' (shortest estimated tour first)
+ * @returns {Array} New sorted array
+ */
+export function rankExpansions(options, sortBy = 'count') {
+  const byCount = (a, b) => a.missingCount - b.missingCount;
+  const byDistance = (a, b) => a.distance - b.distance;
+  const [primary, secondary] = sortBy === 'distance' ? [byDistance, byCount] : [byCount, byDistance];
+
+  return [...options].sort((a, b) => primary(a, b) || secondary(a, b) || b.k - a.k);
+}
+
+/**
+ * Convert an expansion option into proposed squares for routing
+ * @param {Object} option - Expansion option
+ * @param {Object} gridParams - Grid parameters
+ * @returns {Object} {rectangles, metadata} in the format of optimizeSquare
+ */
+export function expansionToProposal(option, gridParams) {
+  const rectangles = option.missing.map(s => cellBounds(s.i, s.j, gridParams));
+
+  const metadata = option.missing.map((s, index) => ({
+    bounds: rectangles[index],
+    gridCoords: { i: s.i, j: s.j },
+    tile: { ...cellToTile(s.i, s.j, gridParams), z: gridParams.zoom },
+    selectionOrder: index + 1,
+    expansion: { corner: option.corner, k: option.k, size: option.size }
+  }));
+
+  return { rectangles, metadata };
+}
@@ -76,6 +76,82 @@ export function generateKML(routeData) {
   return kml;
 }
 
+/**
+ * Generate GeoJSON content for a campaign (one polygon per planned square)
+ * @param {Object} campaign - Result of planCampaign
+ * @returns {string} GeoJSON content
+ */
+export function generateCampaignGeoJSON(campaign) {
+  const features = [];
+
+  campaign.rides.forEach(ride => {
+    ride.rectangles.forEach(([[south, west], [north, east]], index) => {
+      const meta = ride.metadata[index];
+      features.push({
+        type: 'Feature',
+        properties: {
+          ride: ride.number,
+          order: meta.selectionOrder,
+          tile: `${meta.tile.z}/${meta.tile.x}/${meta.tile.y}`,
+          score: meta.score,
+          rideDistanceKm: Number(ride.distance.toFixed(1)),
+          ubersquadratSize: ride.ubersquadratSize
+        },
+        geometry: {
+          type: 'Polygon',
+          coordinates: [[[west, south], [east, south], [east, north], [west, north], [west, south]]]
+        }
+      });
+    });
+  });
+
+  return JSON.stringify({ type: 'FeatureCollection', features }, null, 2);
+}
+
+/**
+ * Generate KML content for a campaign (one folder per ride)
+ * @param {Object} campaign - Result of planCampaign
+ * @returns {string} KML XML content
+ */
+export function generateCampaignKML(campaign) {
+  let kml = `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>Squadrats Campaign</name>
+    <description>${campaign.rides.length} rides, ${campaign.totalSquares} squares, ${campaign.totalDistance.toFixed(1)} km, Übersquadrat ${campaign.finalUbersquadratSize}x${campaign.finalUbersquadratSize}</description>
+`;
+
+  campaign.rides.forEach(ride => {
+    kml += `    <Folder>
+      <name>Ride ${ride.number}</name>
+      <description>${ride.rectangles.length} squares, ${ride.distance.toFixed(1)} km, Übersquadrat ${ride.ubersquadratSize}x${ride.ubersquadratSize}</description>
+`;
+
+    ride.rectangles.forEach(([[south, west], [north, east]], index) => {
+      const meta = ride.metadata[index];
+      kml += `      <Placemark>
+        <name>${ride.number}.${meta.selectionOrder} (${meta.tile.z}/${meta.tile.x}/${meta.tile.y})</name>
+        <Polygon>
+          <outerBoundaryIs>
+            <LinearRing>
+              <coordinates>${west},${south} ${east},${south} ${east},${north} ${west},${north} ${west},${south}</coordinates>
+            </LinearRing>
+          </outerBoundaryIs>
+        </Polygon>
+      </Placemark>
+`;
+    });
+
+    kml += `    </Folder>
+`;
+  });
+
+  kml += `  </Document>
+</kml>`;
+
+  return kml;
+}
+
 /**
  * Download file helper
  * @param {string} content - File content
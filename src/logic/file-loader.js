@@ -1,6 +1,9 @@
 const STORAGE_KEY_FILENAME = 'squadrats_last_kml_filename';
 const STORAGE_KEY_CONTENT = 'squadrats_last_kml_content';
 
+// KML exports, GeoJSON and z/x/y tile lists
+const SQUADRATS_FILE_ACCEPT = '.kml,.geojson,.json,.txt,.csv,application/vnd.google-earth.kml+xml,application/geo+json';
+
 /**
  * Check if File System Access API is supported
  */
@@ -9,17 +12,20 @@ export function isFileSystemAccessSupported() {
 }
 
 /**
- * Load KML file using File System Access API (modern browsers)
+ * Load squadrats file (KML, GeoJSON or tile list) using File System Access API (modern browsers)
  * @returns {Promise<{filename: string, content: string}>}
  */
 export async function loadKmlWithFilePicker() {
   try {
     const [fileHandle] = await window.showOpenFilePicker({
       types: [{
-        description: 'KML Files',
+        description: 'Squadrats Files (KML, GeoJSON, Tile List)',
         accept: {
           'application/vnd.google-earth.kml+xml': ['.kml'],
-          'application/xml': ['.kml']
+          'application/xml': ['.kml'],
+          'application/geo+json': ['.geojson'],
+          'application/json': ['.json'],
+          'text/plain': ['.txt', '.csv']
         }
       }],
       multiple: false,
@@ -44,14 +50,14 @@ export async function loadKmlWithFilePicker() {
 }
 
 /**
- * Load KML file using traditional file input (fallback)
+ * Load squadrats file using traditional file input (fallback)
  * @returns {Promise<{filename: string, content: string}>}
  */
 export function loadKmlWithFileInput() {
   return new Promise((resolve, reject) => {
     const input = document.createElement('input');
     input.type = 'file';
-    input.accept = '.kml,application/vnd.google-earth.kml+xml';
+    input.accept = SQUADRATS_FILE_ACCEPT;
 
     input.onchange = async (event) => {
       const file = event.target.files[0];
@@ -94,6 +100,80 @@ export async function loadKmlFile() {
   }
 }
 
+/**
+ * Select files using a file input
+ * @param {string} accept - Accepted file types for the input
+ * @param {boolean} multiple - Allow selecting several files
+ * @returns {Promise<Array<File>>}
+ */
+function selectFilesWithFileInput(accept, multiple = true) {
+  return new Promise((resolve, reject) => {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = accept;
+    input.multiple = multiple;
+
+    input.onchange = (event) => {
+      const files = Array.from(event.target.files || []);
+      if (files.length === 0) {
+        reject(new Error('No file selected'));
+        return;
+      }
+      resolve(files);
+    };
+
+    input.oncancel = () => {
+      reject(new Error('File selection cancelled'));
+    };
+
+    input.click();
+  });
+}
+
+/**
+ * Select one or more activity files (GPX/FIT) using a file input
+ * @returns {Promise<Array<File>>}
+ */
+export function loadTrackFilesWithFileInput() {
+  return selectFilesWithFileInput('.gpx,.fit,application/gpx+xml');
+}
+
+/**
+ * Select several snapshots (KML, GeoJSON or tile lists) using a file input (not cached)
+ * @returns {Promise<Array<{filename: string, content: string}>>}
+ */
+export async function loadKmlSnapshotFiles() {
+  const files = await selectFilesWithFileInput(SQUADRATS_FILE_ACCEPT);
+  return Promise.all(files.map(async file => ({
+    filename: file.name,
+    content: await file.text()
+  })));
+}
+
+/**
+ * Select a JSON file (e.g. exported scoring profiles) using a file input
+ * @returns {Promise<{filename: string, content: string}>}
+ */
+export async function loadJsonFileWithFileInput() {
+  const [file] = await selectFilesWithFileInput('.json,application/json', false);
+  return {
+    filename: file.name,
+    content: await file.text()
+  };
+}
+
+/**
+ * Select a GeoJSON or KML file with exclusion zones using a file input
+ * @returns {Promise<{filename: string, content: string}>}
+ */
+export async function loadZoneFileWithFileInput() {
+  const [file] = await selectFilesWithFileInput('.geojson,.json,.kml,application/geo+json,application/vnd.google-earth.kml+xml', false);
+  return {
+    filename: file.name,
+    content: await file.text()
+  };
+}
+
 /**
  * Save KML to LocalStorage cache
  * @param {string} filename
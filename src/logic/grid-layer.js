@@ -0,0 +1,186 @@
+import L from 'leaflet';
+import { CONFIG } from './config.js';
+import { BitGrid } from './bit-grid.js';
+
+/**
+ * Canvas grid layer drawing squadrat/squadratinho grid lines and cell shading
+ *
+ * Grid cells are slippy-map tiles themselves, so every Leaflet tile maps to a
+ * whole number of grid cells (or a fraction of one) without any projection
+ * math. Only tiles in the current viewport are drawn, at any extent.
+ */
+
+/**
+ * Index the squares of classified holes by row
+ * @param {Array} holes - Holes {squares: Array of {i, j}, sizeClass}
+ * @returns {Map} Map of i → Map of j → fill color
+ */
+function indexHoleRows(holes) {
+  const rows = new Map();
+  for (const hole of holes) {
+    const color = CONFIG.HOLE_CLASS_COLORS[hole.sizeClass] || CONFIG.HOLE_CLASS_COLORS.small;
+    for (const { i, j } of hole.squares) {
+      if (!rows.has(i)) rows.set(i, new Map());
+      rows.get(i).set(j, color);
+    }
+  }
+  return rows;
+}
+
+const GridCanvasLayer = L.GridLayer.extend({
+  options: {
+    pane: 'gridPane',
+    updateWhenZooming: false
+  },
+
+  initialize(options) {
+    L.setOptions(this, options);
+    this._gridParams = null;
+    this._visited = new BitGrid();
+    this._holeRows = new Map();
+    this._extent = null;
+    this._shading = { visited: false, unvisited: false, holes: false };
+  },
+
+  /**
+   * Set the grid to draw
+   * @param {Object|null} gridParams - Grid parameters {zoom, originX, originY}
+   */
+  setGrid(gridParams) {
+    this._gridParams = gridParams;
+    this.redraw();
+  },
+
+  /**
+   * Set the cells to shade
+   * @param {Object} data - {visitedSet, holes, shading: {visited, unvisited, holes}}
+   *                        where holes are {squares, sizeClass} (see findHoles and classifyHole)
+   */
+  setCells({ visitedSet, holes, shading }) {
+    this._visited = BitGrid.from(visitedSet);
+    this._holeRows = indexHoleRows(holes || []);
+    this._extent = this._visited.extent();
+    this._shading = { ...this._shading, ...shading };
+    this.redraw();
+  },
+
+  /**
+   * Fill color of cell (i, j) or null if it is not shaded
+   */
+  _cellColor(i, j) {
+    const shading = this._shading;
+
+    if (this._visited.hasCell(i, j)) {
+      return shading.visited ? CONFIG.GRID_SHADE_VISITED_COLOR : null;
+    }
+    const holeColor = shading.holes ? this._holeRows.get(i)?.get(j) : undefined;
+    if (holeColor) {
+      return holeColor;
+    }
+    if (shading.unvisited && this._extent &&
+        i >= this._extent.minI && i <= this._extent.maxI &&
+        j >= this._extent.minJ && j <= this._extent.maxJ) {
+      return CONFIG.GRID_SHADE_UNVISITED_COLOR;
+    }
+    return null;
+  },
+
+  /**
+   * Quick check whether any cell of row i can be shaded
+   */
+  _rowMayBeShaded(i) {
+    if (this._holeRows.has(i)) return true;
+    // Visited cells only lie inside the extent as well
+    return this._extent !== null && i >= this._extent.minI && i <= this._extent.maxI;
+  },
+
+  createTile(coords) {
+    const tile = document.createElement('canvas');
+    const size = this.getTileSize();
+    tile.width = size.x;
+    tile.height = size.y;
+
+    if (this._gridParams) {
+      this._drawTile(tile.getContext('2d'), coords, size.x);
+    }
+
+    return tile;
+  },
+
+  _drawTile(ctx, coords, tileSize) {
+    const { zoom, originX, originY } = this._gridParams;
+    const zoomDiff = zoom - coords.z;
+
+    // Cells per tile side (< 1 when zoomed in beyond the grid zoom)
+    const cellsPerTile = Math.pow(2, zoomDiff);
+    const cellPx = tileSize / cellsPerTile;
+
+    if (cellPx < CONFIG.GRID_MIN_SHADE_PX) return;
+
+    const anyShading = this._shading.visited || this._shading.unvisited || this._shading.holes;
+    const n = Math.max(1, cellsPerTile);
+    const firstX = Math.floor(coords.x * cellsPerTile);
+    const firstY = Math.floor(coords.y * cellsPerTile);
+    // Offset of the tile inside its cell when zoomed in beyond the grid zoom
+    const offsetX = cellsPerTile < 1 ? (coords.x * tileSize) % cellPx : 0;
+    const offsetY = cellsPerTile < 1 ? (coords.y * tileSize) % cellPx : 0;
+
+    if (anyShading) {
+      ctx.globalAlpha = CONFIG.GRID_SHADE_OPACITY;
+      for (let r = 0; r < n; r++) {
+        const i = originY - (firstY + r);
+        if (!this._rowMayBeShaded(i)) continue;
+
+        for (let c = 0; c < n; c++) {
+          const color = this._cellColor(i, firstX + c - originX);
+          if (!color) continue;
+          ctx.fillStyle = color;
+          ctx.fillRect(c * cellPx - offsetX, r * cellPx - offsetY, cellPx, cellPx);
+        }
+      }
+    }
+
+    if (cellPx < CONFIG.GRID_MIN_LINE_PX) return;
+
+    // Each tile draws the top and left borders of its cells; when zoomed in beyond
+    // the grid zoom only tiles touching a cell border draw anything
+    ctx.lineWidth = 1;
+
+    if (offsetY === 0) {
+      ctx.globalAlpha = CONFIG.GRID_LINE_OPACITY;
+      ctx.strokeStyle = CONFIG.GRID_LINE_COLOR;
+      ctx.beginPath();
+      for (let r = 0; r < n; r++) {
+        ctx.moveTo(0, r * cellPx + 0.5);
+        ctx.lineTo(tileSize, r * cellPx + 0.5);
+      }
+      ctx.stroke();
+    }
+
+    if (offsetX === 0) {
+      ctx.globalAlpha = CONFIG.GRID_VERTICAL_OPACITY;
+      ctx.strokeStyle = CONFIG.GRID_VERTICAL_COLOR;
+      ctx.beginPath();
+      for (let c = 0; c < n; c++) {
+        ctx.moveTo(c * cellPx + 0.5, 0);
+        ctx.lineTo(c * cellPx + 0.5, tileSize);
+      }
+      ctx.stroke();
+    }
+  }
+});
+
+/**
+ * Create the canvas grid layer and its map pane (between base tiles and overlays)
+ * @param {Object} map - Leaflet map
+ * @returns {Object} Grid layer with setGrid(gridParams) and setCells({visitedSet, holes, shading})
+ */
+export function createGridLayer(map) {
+  if (!map.getPane('gridPane')) {
+    const pane = map.createPane('gridPane');
+    pane.style.zIndex = 350;
+    pane.style.pointerEvents = 'none';
+  }
+
+  return new GridCanvasLayer();
+}
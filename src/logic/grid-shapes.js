@@ -0,0 +1,107 @@
+import L from 'leaflet';
+import { CONFIG } from './config.js';
+import { cellBounds } from './tile-math.js';
+
+/**
+ * Leaflet drawing helpers for grid cells and squares
+ *
+ * Kept apart from grid.js so that the grid logic runs without Leaflet
+ * (e.g. in Node).
+ */
+
+/**
+ * Visualize ubersquadrat as blue rectangle on map
+ * @param {Object} baseSquare - Base square grid indices
+ * @param {Object} gridParams - Grid parameters
+ * @param {Object} visitedLayer - Leaflet layer to add rectangle to
+ */
+export function visualizeUbersquadrat(baseSquare, gridParams, visitedLayer) {
+  const [[south, west]] = cellBounds(baseSquare.minI, baseSquare.minJ, gridParams);
+  const [, [north, east]] = cellBounds(baseSquare.maxI, baseSquare.maxJ, gridParams);
+
+  L.rectangle(
+    [[south, west], [north, east]],
+    {
+      color: CONFIG.UBERSQUADRAT_COLOR,
+      fillColor: CONFIG.UBERSQUADRAT_COLOR,
+      fillOpacity: CONFIG.UBERSQUADRAT_OPACITY
+    }
+  ).addTo(visitedLayer);
+}
+
+/**
+ * Visualize the largest fully visited square as dashed outline
+ * @param {Object} square - Square grid indices {minI, maxI, minJ, maxJ}
+ * @param {Object} gridParams - Grid parameters
+ * @param {Object} layer - Leaflet layer to add the outline to
+ */
+export function visualizeDerivedSquare(square, gridParams, layer) {
+  const [[south, west]] = cellBounds(square.minI, square.minJ, gridParams);
+  const [, [north, east]] = cellBounds(square.maxI, square.maxJ, gridParams);
+
+  L.rectangle(
+    [[south, west], [north, east]],
+    {
+      color: CONFIG.DERIVED_UBERSQUADRAT_COLOR,
+      weight: 2,
+      dashArray: '6 6',
+      fill: false
+    }
+  ).addTo(layer);
+}
+
+/**
+ * Visualize a set of grid cells, merging horizontal runs into single rectangles
+ * @param {Iterable} keys - "i,j" keys of the cells
+ * @param {Object} gridParams - Grid parameters
+ * @param {Object} layer - Leaflet layer to add rectangles to
+ * @param {Object} style - Leaflet path options (may override the default canvas renderer)
+ */
+export function visualizeCells(keys, gridParams, layer, style) {
+  const rows = new Map();
+  for (const key of keys) {
+    const [i, j] = key.split(',').map(Number);
+    if (!rows.has(i)) rows.set(i, []);
+    rows.get(i).push(j);
+  }
+
+  const renderer = L.canvas();
+
+  for (const [i, cols] of rows) {
+    cols.sort((a, b) => a - b);
+
+    let runStart = cols[0];
+    for (let k = 1; k <= cols.length; k++) {
+      if (k < cols.length && cols[k] === cols[k - 1] + 1) continue;
+
+      const runEnd = cols[k - 1];
+      const [[south, west]] = cellBounds(i, runStart, gridParams);
+      const [, [north, east]] = cellBounds(i, runEnd, gridParams);
+
+      L.rectangle([[south, west], [north, east]], { stroke: false, renderer, ...style }).addTo(layer);
+
+      runStart = cols[k];
+    }
+  }
+}
+
+/**
+ * Create an SVG hatch pattern once per document
+ * SVG paths can use it as fill via `fillColor: 'url(#<id>)'` (SVG renderer only).
+ * @param {string} id - Pattern id
+ * @param {string} color - Stroke color of the hatch lines
+ * @returns {string} Fill value referencing the pattern
+ */
+export function ensureHatchPattern(id, color) {
+  if (!document.getElementById(id)) {
+    const svgNs = 'http://www.w3.org/2000/svg';
+    const svg = document.createElementNS(svgNs, 'svg');
+    svg.setAttribute('width', '0');
+    svg.setAttribute('height', '0');
+    svg.style.position = 'absolute';
+    svg.innerHTML = `<defs><pattern id="${id}" width="8" height="8" patternUnits="userSpaceOnUse" patternTransform="rotate(45)">` +
+      `<line x1="0" y1="0" x2="0" y2="8" stroke="${color}" stroke-width="3" /></pattern></defs>`;
+    document.body.appendChild(svg);
+  }
+  return `url(#${id})`;
+}
@@ -1,23 +1,19 @@
-import L from 'leaflet';
 import { CONFIG } from './config.js';
-import { calculateBounds, isPointInPolygonWithHoles } from './kml-processor.js';
+import { BitGrid } from './bit-grid.js';
+import { calculateBounds, findUbersquadrat } from './kml-processor.js';
+import { rasterizePolygons } from './rasterizer.js';
+import { findLargestSquare } from './visited-analysis.js';
+import { lonToTileX, latToTileY, cellToTile, tileToCell, rowToLat, colToLon } from './tile-math.js';
 
 /**
- * Calculate grid parameters from ubersquadrat
- * @param {Array} uberCoords - Ubersquadrat polygon coordinates
+ * Create grid parameters for an ubersquadrat given by its south-west tile
+ * @param {number} zoom - Tile zoom level of the grid
+ * @param {number} originX - Tile x of the ubersquadrat's western column
+ * @param {number} originY - Tile y of the ubersquadrat's southern row
  * @param {number} uberSize - Grid size (e.g., 16 for 16x16)
- * @returns {Object} Grid parameters including steps, origin, bounds, and baseSquare indices
+ * @returns {Object} Grid parameters including zoom, origin tile, bounds, and baseSquare indices
  */
-export function calculateGridParameters(uberCoords, uberSize) {
-  const uberBounds = calculateBounds(uberCoords);
-  const { minLat: uberMinLat, maxLat: uberMaxLat, minLon: uberMinLon, maxLon: uberMaxLon } = uberBounds;
-
-  const latStep = (uberMaxLat - uberMinLat) / uberSize;
-  const lonStep = (uberMaxLon - uberMinLon) / uberSize;
-
-  const originLat = uberMinLat;
-  const originLon = uberMinLon;
-
+export function createGridParameters(zoom, originX, originY, uberSize) {
   const baseSquare = {
     minI: 0,
     maxI: uberSize - 1,
@@ -25,122 +21,135 @@ export function calculateGridParameters(uberCoords, uberSize) {
     maxJ: uberSize - 1
   };
 
-  return {
-    latStep,
-    lonStep,
-    originLat,
-    originLon,
-    baseSquare,
-    bounds: uberBounds
+  const gridParams = {
+    zoom,
+    originX,
+    originY,
+    baseSquare
+  };
+
+  gridParams.originLat = rowToLat(0, gridParams);
+  gridParams.originLon = colToLon(0, gridParams);
+  gridParams.bounds = {
+    minLat: gridParams.originLat,
+    maxLat: rowToLat(uberSize, gridParams),
+    minLon: gridParams.originLon,
+    maxLon: colToLon(uberSize, gridParams)
   };
+
+  return gridParams;
 }
 
 /**
- * Scan grid area and build visited set by checking which cells are inside polygons
- * @param {Array} allPolygons - All polygons including ubersquadrat
- * @param {Object} baseSquare - Base square grid indices {minI, maxI, minJ, maxJ}
- * @param {Object} gridParams - Grid parameters {latStep, lonStep, originLat, originLon}
- * @returns {Set} Set of "i,j" strings representing visited grid cells
+ * Calculate grid parameters from ubersquadrat
+ * The ubersquadrat borders lie on tile borders, so the origin tile is found by
+ * rounding the fractional tile coordinates of its south-west corner.
+ * @param {Array} uberCoords - Ubersquadrat polygon coordinates
+ * @param {number} uberSize - Grid size (e.g., 16 for 16x16)
+ * @param {number} zoom - Tile zoom level of the grid (default: squadrat zoom 14)
+ * @returns {Object} Grid parameters including zoom, origin tile, bounds, and baseSquare indices
  */
-export function scanAndBuildVisitedSet(allPolygons, baseSquare, gridParams) {
-  const visitedSet = new Set();
-  const { latStep, lonStep, originLat, originLon } = gridParams;
-
-  const scanMinI = baseSquare.minI - CONFIG.SCAN_RADIUS_RANGE;
-  const scanMaxI = baseSquare.maxI + CONFIG.SCAN_RADIUS_RANGE;
-  const scanMinJ = baseSquare.minJ - CONFIG.SCAN_RADIUS_RANGE;
-  const scanMaxJ = baseSquare.maxJ + CONFIG.SCAN_RADIUS_RANGE;
-
-  let gridCellsChecked = 0;
-  let gridCellsMarked = 0;
-
-  for (let i = scanMinI; i <= scanMaxI; i++) {
-    for (let j = scanMinJ; j <= scanMaxJ; j++) {
-      gridCellsChecked++;
-
-      const cellCenterLat = originLat + (i + CONFIG.GRID_CELL_CENTER_OFFSET) * latStep;
-      const cellCenterLon = originLon + (j + CONFIG.GRID_CELL_CENTER_OFFSET) * lonStep;
-
-      let foundInPolygon = false;
-
-      for (const poly of allPolygons) {
-        if (isPointInPolygonWithHoles(cellCenterLat, cellCenterLon, poly)) {
-          foundInPolygon = true;
-          break;
-        }
-      }
-
-      if (foundInPolygon) {
-        visitedSet.add(`${i},${j}`);
-        gridCellsMarked++;
-      }
-    }
-  }
+export function calculateGridParameters(uberCoords, uberSize, zoom = CONFIG.SQUADRAT_ZOOM) {
+  const uberBounds = calculateBounds(uberCoords);
 
-  return visitedSet;
+  const originX = Math.round(lonToTileX(uberBounds.minLon, zoom));
+  const originY = Math.round(latToTileY(uberBounds.minLat, zoom)) - 1;
+
+  return createGridParameters(zoom, originX, originY, uberSize);
 }
 
 /**
- * Visualize ubersquadrat as blue rectangle on map
- * @param {Object} baseSquare - Base square grid indices
- * @param {Object} gridParams - Grid parameters
- * @param {Object} visitedLayer - Leaflet layer to add rectangle to
+ * Move a visited set from one grid origin to another
+ * @param {BitGrid|Iterable} visitedSet - Visited squares relative to fromGrid (see BitGrid.from)
+ * @param {Object} fromGrid - Grid parameters the cells refer to
+ * @param {Object} toGrid - Grid parameters of the result
+ * @returns {BitGrid} Visited squares relative to toGrid
  */
-export function visualizeUbersquadrat(baseSquare, gridParams, visitedLayer) {
-  const { latStep, lonStep, originLat, originLon } = gridParams;
-
-  const gridAlignedMinLat = originLat + baseSquare.minI * latStep;
-  const gridAlignedMaxLat = originLat + (baseSquare.maxI + 1) * latStep;
-  const gridAlignedMinLon = originLon + baseSquare.minJ * lonStep;
-  const gridAlignedMaxLon = originLon + (baseSquare.maxJ + 1) * lonStep;
-
-  L.rectangle(
-    [[gridAlignedMinLat, gridAlignedMinLon], [gridAlignedMaxLat, gridAlignedMaxLon]],
-    {
-      color: CONFIG.UBERSQUADRAT_COLOR,
-      fillColor: CONFIG.UBERSQUADRAT_COLOR,
-      fillOpacity: CONFIG.UBERSQUADRAT_OPACITY
-    }
-  ).addTo(visitedLayer);
+export function rebaseVisitedSet(visitedSet, fromGrid, toGrid) {
+  const di = toGrid.originY - fromGrid.originY;
+  const dj = fromGrid.originX - toGrid.originX;
+  const rebased = new BitGrid();
+
+  BitGrid.from(visitedSet).forEachCell((i, j) => {
+    rebased.addCell(i + di, j + dj);
+  });
+
+  return rebased.trim();
 }
 
 /**
- * Draw grid lines on the map
- * @param {Object} baseSquare - Base square grid indices
- * @param {Object} gridParams - Grid parameters
- * @param {Object} gridLayer - Leaflet layer to add grid lines to
+ * Build grid and visited set for one grid level (squadrats or squadratinhos)
+ * Uses the ubersquadrat declared in the KML; without one, the largest fully
+ * visited square becomes the base of the grid.
+ * @param {Array} polygons - Visited polygons of this level
+ * @param {Array} candidates - Ubersquadrat candidates of this level
+ * @param {number} zoom - Tile zoom level of the level
+ * @returns {Object|null} {gridParams, visitedSet, declared} or null if nothing is visited
  */
-export function drawGridLines(baseSquare, gridParams, gridLayer) {
-  const { latStep, lonStep, originLat, originLon } = gridParams;
-
-  gridLayer.clearLayers();
-
-  const gridMinI = baseSquare.minI - CONFIG.GRID_DISPLAY_RANGE;
-  const gridMaxI = baseSquare.maxI + CONFIG.GRID_DISPLAY_RANGE;
-  const gridMinJ = baseSquare.minJ - CONFIG.GRID_DISPLAY_RANGE;
-  const gridMaxJ = baseSquare.maxJ + CONFIG.GRID_DISPLAY_RANGE;
-
-  for (let i = gridMinI; i <= gridMaxI + 1; i++) {
-    const lat = originLat + i * latStep;
-    const lonStart = originLon + gridMinJ * lonStep;
-    const lonEnd = originLon + (gridMaxJ + 1) * lonStep;
-
-    L.polyline([[lat, lonStart], [lat, lonEnd]], {
-      color: CONFIG.GRID_LINE_COLOR,
-      weight: 1,
-      opacity: CONFIG.GRID_LINE_OPACITY
-    }).addTo(gridLayer);
+export function buildGridLevel(polygons, candidates, zoom) {
+  const ubersquadrat = findUbersquadrat(candidates);
+
+  if (ubersquadrat.coords) {
+    const gridParams = calculateGridParameters(ubersquadrat.coords, ubersquadrat.size, zoom);
+    const visitedSet = scanAndBuildVisitedSet(polygons, gridParams);
+    return { gridParams, visitedSet, declared: true };
   }
 
-  for (let j = gridMinJ; j <= gridMaxJ + 1; j++) {
-    const lon = originLon + j * lonStep;
-    const latStart = originLat + gridMinI * latStep;
-    const latEnd = originLat + (gridMaxI + 1) * latStep;
+  // Rasterize relative to tile (0, 0) first, then move the origin to the derived square
+  const provisional = createGridParameters(zoom, 0, 0, 1);
+  return deriveGridLevel(scanAndBuildVisitedSet(polygons, provisional), provisional);
+}
 
-    L.polyline([[latStart, lon], [latEnd, lon]], {
-      color: CONFIG.GRID_VERTICAL_COLOR,
-      weight: 1,
-      opacity: CONFIG.GRID_VERTICAL_OPACITY
-    }).addTo(gridLayer);
+/**
+ * Build grid and visited set for one grid level from a list of visited tiles
+ * Tile lists carry no ubersquadrat, so the largest fully visited square becomes the base.
+ * @param {Array} tiles - Visited tiles [{x, y}] at the given zoom
+ * @param {number} zoom - Tile zoom level of the level
+ * @returns {Object|null} {gridParams, visitedSet, declared} or null if no tiles are given
+ */
+export function buildGridLevelFromTiles(tiles, zoom) {
+  const provisional = createGridParameters(zoom, 0, 0, 1);
+  const provisionalSet = new BitGrid();
+
+  for (const { x, y } of tiles) {
+    const { i, j } = tileToCell(x, y, provisional);
+    provisionalSet.addCell(i, j);
   }
+
+  return deriveGridLevel(provisionalSet, provisional);
+}
+
+/**
+ * Move a visited set from a provisional grid onto the largest fully visited square
+ * @param {BitGrid} provisionalSet - Visited squares relative to the provisional grid
+ * @param {Object} provisional - Provisional grid parameters
+ * @returns {Object|null} {gridParams, visitedSet, declared: false} or null for an empty set
+ */
+function deriveGridLevel(provisionalSet, provisional) {
+  const largest = findLargestSquare(provisionalSet);
+  if (!largest) return null;
+
+  const origin = cellToTile(largest.minI, largest.minJ, provisional);
+  const gridParams = createGridParameters(provisional.zoom, origin.x, origin.y, largest.size);
+  const visitedSet = rebaseVisitedSet(provisionalSet, provisional, gridParams);
+
+  return { gridParams, visitedSet, declared: false };
+}
+
+/**
+ * Build visited set by rasterizing all polygons onto the grid
+ * Covers the whole extent of the polygons, not just the area around the ubersquadrat
+ * @param {Array} allPolygons - All polygons including ubersquadrat
+ * @param {Object} gridParams - Grid parameters {zoom, originX, originY}
+ * @returns {BitGrid} Visited grid cells
+ */
+export function scanAndBuildVisitedSet(allPolygons, gridParams) {
+  const visitedSet = new BitGrid();
+
+  rasterizePolygons(allPolygons, gridParams.zoom, (x, y) => {
+    const { i, j } = tileToCell(x, y, gridParams);
+    visitedSet.addCell(i, j);
+  });
+
+  return visitedSet.trim();
 }
@@ -15,42 +15,6 @@ export function calculateBounds(coords) {
   return { minLat, maxLat, minLon, maxLon };
 }
 
-/**
- * Checks if point is inside polygon, accounting for holes
- * Uses Turf.js booleanPointInPolygon which handles holes natively
- * @param {number} lat - Latitude of point
- * @param {number} lon - Longitude of point
- * @param {Object} polygon - Polygon object with {outer, holes} structure (coords in [lat, lon])
- * @returns {boolean} True if point is inside polygon and not in any hole
- */
-export function isPointInPolygonWithHoles(lat, lon, polygon) {
-  const point = turf.point([lon, lat]);
-
-  const outerRing = polygon.outer.map(c => [c[1], c[0]]);
-  if (outerRing[0][0] !== outerRing[outerRing.length - 1][0] ||
-      outerRing[0][1] !== outerRing[outerRing.length - 1][1]) {
-    outerRing.push(outerRing[0]);
-  }
-
-  const rings = [outerRing];
-
-  for (const hole of polygon.holes) {
-    const holeRing = hole.map(c => [c[1], c[0]]);
-    if (holeRing[0][0] !== holeRing[holeRing.length - 1][0] ||
-        holeRing[0][1] !== holeRing[holeRing.length - 1][1]) {
-      holeRing.push(holeRing[0]);
-    }
-    rings.push(holeRing);
-  }
-
-  try {
-    const turfPolygon = turf.polygon(rings);
-    return turf.booleanPointInPolygon(point, turfPolygon);
-  } catch (e) {
-    return false;
-  }
-}
-
 /**
  * Calculate area of a polygon in square meters
  * @param {Array} coords - Array of [lat, lon] coordinates
@@ -102,57 +66,90 @@ export function extractPolygons(geometry) {
 }
 
 /**
- * Parse KML layer and extract features, polygons, and ubersquadrat candidates
- * @param {Object} layer - Leaflet KML layer
- * @returns {Object} {features, allPolygons, candidates}
+ * Classify a KML placemark or GeoJSON feature by its name
+ * GeoJSON exports from other tools may instead carry the tile zoom as `z` or `zoom` property.
+ * @param {Object} feature - GeoJSON feature
+ * @returns {Object} {isUbersquadrat, isSquadratinho, isUbersquadratinho}
+ */
+function classifyFeature(feature) {
+  const featureName = feature?.properties?.name?.toLowerCase() || '';
+  const zoom = Number(feature?.properties?.z ?? feature?.properties?.zoom);
+  const isUbersquadratinho = featureName.includes('ubersquadratinho');
+  const isUbersquadrat = featureName.includes('ubersquadrat') && !isUbersquadratinho;
+  const isSquadratinho = isUbersquadratinho || featureName.includes('squadratinho') ||
+    zoom === CONFIG.SQUADRATINHO_ZOOM;
+  return { isUbersquadrat, isSquadratinho, isUbersquadratinho };
+}
+
+/**
+ * Leaflet style for a KML feature (squadrats green, squadratinhos orange)
+ * @param {Object} feature - GeoJSON feature
+ * @returns {Object} Leaflet path options
+ */
+export function getFeatureStyle(feature) {
+  const { isSquadratinho } = classifyFeature(feature);
+  const color = isSquadratinho ? CONFIG.SQUADRATINHO_COLOR : CONFIG.VISITED_COLOR;
+  return {
+    fillColor: color,
+    color: isSquadratinho ? color : CONFIG.VISITED_BORDER_COLOR,
+    fillOpacity: isSquadratinho ? 0.15 : 0.3
+  };
+}
+
+/**
+ * Parse KML features and extract polygons and ubersquadrat candidates
+ * Squadratinho placemarks (zoom 17) are collected separately from the squadrat ones
+ * @param {Object} geojson - GeoJSON FeatureCollection (converted from KML or loaded directly)
+ * @returns {Object} {features, allPolygons, candidates, squadratinhoPolygons, squadratinhoCandidates}
  */
-export function parseKmlFeatures(layer) {
+export function parseKmlFeatures(geojson) {
   const features = [];
   const allPolygons = [];
   const candidates = [];
+  const squadratinhoPolygons = [];
+  const squadratinhoCandidates = [];
 
-  layer.eachLayer(featureLayer => {
-    if (featureLayer.setStyle) {
-      featureLayer.setStyle({
-        fillColor: CONFIG.VISITED_COLOR,
-        color: CONFIG.VISITED_BORDER_COLOR,
-        fillOpacity: 0.3
-      });
-    }
-
-    const featureName = featureLayer.feature?.properties?.name?.toLowerCase() || '';
-    const isUbersquadrat = featureName.includes('ubersquadrat') && !featureName.includes('ubersquadratinho');
-    const isUbersquadratinho = featureName.includes('ubersquadratinho') || featureName.includes('squadratinho');
+  for (const feature of geojson.features || []) {
+    const { isUbersquadrat, isSquadratinho, isUbersquadratinho } = classifyFeature(feature);
 
-    if (isUbersquadratinho) return;
+    const geometry = feature.geometry;
+    if (!geometry || geometry.type === 'Point') continue;
 
-    if (featureLayer.feature?.geometry) {
-      const geometry = featureLayer.feature.geometry;
-      if (geometry.type === 'Point') return;
+    const polygonsToProcess = extractPolygons(geometry);
+    if (polygonsToProcess.length === 0) continue;
 
-      const polygonsToProcess = extractPolygons(geometry);
-      if (polygonsToProcess.length === 0) return;
+    polygonsToProcess.forEach(polyData => {
+      const outerLatLon = polyData.outer.map(c => [c[1], c[0]]);
+      const holesLatLon = polyData.holes.map(hole => hole.map(c => [c[1], c[0]]));
 
-      polygonsToProcess.forEach(polyData => {
-        const outerLatLon = polyData.outer.map(c => [c[1], c[0]]);
-        const holesLatLon = polyData.holes.map(hole => hole.map(c => [c[1], c[0]]));
+      if (isSquadratinho) {
+        squadratinhoPolygons.push({ outer: outerLatLon, holes: holesLatLon });
 
-        allPolygons.push({ outer: outerLatLon, holes: holesLatLon });
-
-        if (isUbersquadrat) {
-          candidates.push({
-            name: featureLayer.feature.properties.name,
+        if (isUbersquadratinho) {
+          squadratinhoCandidates.push({
+            name: feature.properties.name,
             coords: outerLatLon,
-            size: parseInt(featureLayer.feature.properties.size) || 16
+            size: parseInt(feature.properties.size) || 16
           });
-        } else {
-          features.push({ outer: outerLatLon, holes: holesLatLon });
         }
-      });
-    }
-  });
+        return;
+      }
+
+      allPolygons.push({ outer: outerLatLon, holes: holesLatLon });
+
+      if (isUbersquadrat) {
+        candidates.push({
+          name: feature.properties.name,
+          coords: outerLatLon,
+          size: parseInt(feature.properties.size) || 16
+        });
+      } else {
+        features.push({ outer: outerLatLon, holes: holesLatLon });
+      }
+    });
+  }
 
-  return { features, allPolygons, candidates };
+  return { features, allPolygons, candidates, squadratinhoPolygons, squadratinhoCandidates };
 }
 
 /**
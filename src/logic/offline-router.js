@@ -0,0 +1,415 @@
+/**
+ * Offline router on Overpass road data
+ *
+ * Builds a graph from the road LineStrings of road-fetcher.js (ways meet where
+ * they share a node, i.e. identical coordinates) and routes between waypoints
+ * with A*. Edge costs are the length weighted by how well the highway type and
+ * surface suit the bike type, so road bikes avoid tracks and MTBs prefer them.
+ */
+
+const EARTH_RADIUS_KM = 6371;
+// Waypoints farther than this from any road are connected in a straight line
+const MAX_SNAP_DISTANCE_KM = 0.5;
+
+// Cost factor per highway type (1 = neutral); 'default' covers all other types
+const HIGHWAY_COSTS = {
+  fastbike: {
+    primary: 1.6, primary_link: 1.6, secondary: 1.25, secondary_link: 1.25,
+    tertiary: 1, tertiary_link: 1, unclassified: 1, residential: 1.1,
+    living_street: 1.3, cycleway: 1.1, service: 1.5, default: 2
+  },
+  trekking: {
+    primary: 1.8, primary_link: 1.8, secondary: 1.4, secondary_link: 1.4,
+    tertiary: 1.15, tertiary_link: 1.15, unclassified: 1, residential: 1,
+    living_street: 1, cycleway: 0.9, service: 1.2, track: 1.1, path: 1.3, default: 1.5
+  },
+  'hiking-mountain': {
+    primary: 2, primary_link: 2, secondary: 1.6, secondary_link: 1.6,
+    tertiary: 1.3, tertiary_link: 1.3, unclassified: 1.1, residential: 1.15,
+    living_street: 1.15, cycleway: 1, service: 1.2, track: 0.9, path: 0.9, bridleway: 1, default: 1.5
+  }
+};
+
+// Extra cost factor for unpaved surfaces
+const UNPAVED_SURFACES = /^(unpaved|gravel|fine_gravel|compacted|dirt|earth|ground|grass|sand|mud|pebblestone|wood|cobblestone|sett)$/;
+const UNPAVED_COSTS = {
+  fastbike: 3,
+  trekking: 1.2,
+  'hiking-mountain': 1
+};
+
+/**
+ * Great-circle distance
+ * @returns {number} Distance in kilometers
+ */
+function distanceKm(lat1, lon1, lat2, lon2) {
+  const toRad = Math.PI / 180;
+  const dLat = (lat2 - lat1) * toRad;
+  const dLon = (lon2 - lon1) * toRad;
+  const a = Math.sin(dLat / 2) ** 2 +
+            Math.cos(lat1 * toRad) * Math.cos(lat2 * toRad) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+/**
+ * Cost factor of a road for a bike type
+ * @param {Object} properties - Road properties {highway, surface}
+ * @param {string} bikeType - trekking, hiking-mountain or fastbike
+ * @returns {number}
+ */
+function roadCostFactor(properties, bikeType) {
+  const highways = HIGHWAY_COSTS[bikeType] || HIGHWAY_COSTS.trekking;
+  let factor = highways[properties?.highway] ?? highways.default;
+  if (properties?.surface && UNPAVED_SURFACES.test(properties.surface)) {
+    factor *= UNPAVED_COSTS[bikeType] ?? UNPAVED_COSTS.trekking;
+  }
+  return factor;
+}
+
+/**
+ * Build a routing graph from road features
+ * Nodes are stored in compressed sparse rows: the edges of node n are
+ * targets[offsets[n]] .. targets[offsets[n + 1] - 1]. Roads are routable in both directions.
+ *
+ * @param {Array} roads - GeoJSON LineString features from road-fetcher.js
+ * @param {string} bikeType - trekking, hiking-mountain or fastbike
+ * @returns {Object} Graph {size, lat, lon, offsets, targets, lengths, costs, component, mainComponent, minCostFactor}
+ */
+export function buildRoadGraph(roads, bikeType) {
+  const nodeIds = new Map();
+  const lats = [];
+  const lons = [];
+  const edges = [];
+
+  const nodeId = ([lon, lat]) => {
+    const key = `${lon},${lat}`;
+    let id = nodeIds.get(key);
+    if (id === undefined) {
+      id = lats.length;
+      nodeIds.set(key, id);
+      lats.push(lat);
+      lons.push(lon);
+    }
+    return id;
+  };
+
+  for (const road of roads) {
+    const coordinates = road.geometry?.coordinates;
+    if (!coordinates || coordinates.length < 2) continue;
+
+    const factor = roadCostFactor(road.properties, bikeType);
+    let previous = nodeId(coordinates[0]);
+    for (let k = 1; k < coordinates.length; k++) {
+      const current = nodeId(coordinates[k]);
+      if (current !== previous) {
+        const length = distanceKm(lats[previous], lons[previous], lats[current], lons[current]);
+        edges.push(previous, current, length, factor);
+      }
+      previous = current;
+    }
+  }
+
+  const size = lats.length;
+  const edgeCount = edges.length / 4;
+  const offsets = new Int32Array(size + 1);
+  for (let e = 0; e < edgeCount; e++) {
+    offsets[edges[e * 4] + 1]++;
+    offsets[edges[e * 4 + 1] + 1]++;
+  }
+  for (let n = 0; n < size; n++) {
+    offsets[n + 1] += offsets[n];
+  }
+
+  const targets = new Int32Array(edgeCount * 2);
+  const lengths = new Float64Array(edgeCount * 2);
+  const costs = new Float64Array(edgeCount * 2);
+  const fill = offsets.slice(0, size);
+  let minCostFactor = Infinity;
+
+  for (let e = 0; e < edgeCount; e++) {
+    const a = edges[e * 4];
+    const b = edges[e * 4 + 1];
+    const length = edges[e * 4 + 2];
+    const factor = edges[e * 4 + 3];
+    for (const [from, to] of [[a, b], [b, a]]) {
+      const slot = fill[from]++;
+      targets[slot] = to;
+      lengths[slot] = length;
+      costs[slot] = length * factor;
+    }
+    if (factor < minCostFactor) minCostFactor = factor;
+  }
+
+  const graph = {
+    size,
+    lat: Float64Array.from(lats),
+    lon: Float64Array.from(lons),
+    offsets,
+    targets,
+    lengths,
+    costs,
+    minCostFactor: Number.isFinite(minCostFactor) ? minCostFactor : 1
+  };
+  labelComponents(graph);
+  return graph;
+}
+
+/**
+ * Label the connected components of the graph
+ * Sets graph.component (component id per node) and graph.mainComponent (id of the largest).
+ */
+function labelComponents(graph) {
+  const component = new Int32Array(graph.size).fill(-1);
+  const queue = new Int32Array(graph.size);
+  let mainComponent = -1;
+  let mainSize = 0;
+  let nextComponent = 0;
+
+  for (let start = 0; start < graph.size; start++) {
+    if (component[start] !== -1) continue;
+
+    const id = nextComponent++;
+    component[start] = id;
+    queue[0] = start;
+    let tail = 1;
+    for (let head = 0; head < tail; head++) {
+      const node = queue[head];
+      for (let e = graph.offsets[node]; e < graph.offsets[node + 1]; e++) {
+        const next = graph.targets[e];
+        if (component[next] === -1) {
+          component[next] = id;
+          queue[tail++] = next;
+        }
+      }
+    }
+
+    if (tail > mainSize) {
+      mainSize = tail;
+      mainComponent = id;
+    }
+  }
+
+  graph.component = component;
+  graph.mainComponent = mainComponent;
+}
+
+/**
+ * Nearest graph node to a point, preferring the largest connected component
+ * Small components (parking aisles, cut-off paths) would leave the route stuck.
+ * @param {Object} graph - Road graph
+ * @param {Object} point - {lat, lon}
+ * @returns {number} Node index or -1 if no node lies within MAX_SNAP_DISTANCE_KM
+ */
+export function snapToGraph(graph, point) {
+  let nearest = -1;
+  let nearestDistance = Infinity;
+  let nearestMain = -1;
+  let nearestMainDistance = Infinity;
+
+  for (let n = 0; n < graph.size; n++) {
+    const distance = distanceKm(point.lat, point.lon, graph.lat[n], graph.lon[n]);
+    if (distance < nearestDistance) {
+      nearest = n;
+      nearestDistance = distance;
+    }
+    if (graph.component[n] === graph.mainComponent && distance < nearestMainDistance) {
+      nearestMain = n;
+      nearestMainDistance = distance;
+    }
+  }
+
+  if (nearestMainDistance <= MAX_SNAP_DISTANCE_KM) return nearestMain;
+  return nearestDistance <= MAX_SNAP_DISTANCE_KM ? nearest : -1;
+}
+
+/**
+ * Binary min-heap of nodes by priority
+ * @returns {Object} {push(priority, node), pop() → node, isEmpty()}
+ */
+function createHeap() {
+  const priorities = [];
+  const nodes = [];
+  const swap = (x, y) => {
+    const priority = priorities[x];
+    priorities[x] = priorities[y];
+    priorities[y] = priority;
+    const node = nodes[x];
+    nodes[x] = nodes[y];
+    nodes[y] = node;
+  };
+  const push = (priority, node) => {
+    priorities.push(priority);
+    nodes.push(node);
+    let k = nodes.length - 1;
+    while (k > 0) {
+      const parent = (k - 1) >> 1;
+      if (priorities[parent] <= priorities[k]) break;
+      swap(parent, k);
+      k = parent;
+    }
+  };
+  const pop = () => {
+    const top = nodes[0];
+    const lastPriority = priorities.pop();
+    const lastNode = nodes.pop();
+    if (nodes.length > 0) {
+      priorities[0] = lastPriority;
+      nodes[0] = lastNode;
+      let k = 0;
+      for (;;) {
+        const left = 2 * k + 1;
+        const right = left + 1;
+        let smallest = k;
+        if (left < nodes.length && priorities[left] < priorities[smallest]) smallest = left;
+        if (right < nodes.length && priorities[right] < priorities[smallest]) smallest = right;
+        if (smallest === k) break;
+        swap(smallest, k);
+        k = smallest;
+      }
+    }
+    return top;
+  };
+  return { push, pop, isEmpty: () => nodes.length === 0 };
+}
+
+/**
+ * A* search from one node to another
+ * @param {Object} graph - Road graph
+ * @param {number} from - Start node
+ * @param {number} to - Target node
+ * @param {Float64Array} weights - Edge weights (graph.costs or graph.lengths)
+ * @param {number} heuristicFactor - Lowest weight per km, keeps the heuristic admissible
+ * @returns {Object} {cost: Float64Array, previous: Int32Array} - cost[to] is Infinity if unreachable
+ */
+function searchPath(graph, from, to, weights, heuristicFactor) {
+  const { lat, lon, offsets, targets } = graph;
+  const cost = new Float64Array(graph.size).fill(Infinity);
+  const previous = new Int32Array(graph.size).fill(-1);
+  const closed = new Uint8Array(graph.size);
+  const heuristic = (n) => distanceKm(lat[n], lon[n], lat[to], lon[to]) * heuristicFactor;
+
+  const { push, pop, isEmpty } = createHeap();
+
+  cost[from] = 0;
+  push(heuristic(from), from);
+
+  while (!isEmpty()) {
+    const node = pop();
+    if (node === to) break;
+    if (closed[node]) continue;
+    closed[node] = 1;
+
+    for (let e = offsets[node]; e < offsets[node + 1]; e++) {
+      const next = targets[e];
+      const nextCost = cost[node] + weights[e];
+      if (nextCost < cost[next]) {
+        cost[next] = nextCost;
+        previous[next] = node;
+        push(nextCost + heuristic(next), next);
+      }
+    }
+  }
+
+  return { cost, previous };
+}
+
+/**
+ * Cheapest path between two nodes for the bike type of the graph
+ * @param {Object} graph - Road graph
+ * @param {number} from - Start node
+ * @param {number} to - Target node
+ * @returns {Array|null} Node indices from start to target, null if they are not connected
+ */
+export function findPath(graph, from, to) {
+  if (from === to) return [from];
+  if (graph.component[from] !== graph.component[to]) return null;
+
+  const { previous } = searchPath(graph, from, to, graph.costs, graph.minCostFactor);
+  if (previous[to] === -1) return null;
+
+  const path = [to];
+  for (let node = to; node !== from; node = previous[node]) {
+    path.push(previous[node]);
+  }
+  return path.reverse();
+}
+
+/**
+ * Lengths of the shortest road connections from one node to several others
+ * One Dijkstra search that stops once every target is settled, so a distance
+ * matrix needs one search per point instead of one per pair.
+ * @param {Object} graph - Road graph
+ * @param {number} from - Start node
+ * @param {Array} targets - Target nodes
+ * @returns {Array} Distance in km per target, Infinity where not connected
+ */
+export function roadDistances(graph, from, targets) {
+  const wanted = new Set(targets.filter(to => graph.component[to] === graph.component[from]));
+  const distance = new Float64Array(graph.size).fill(Infinity);
+  const settled = new Uint8Array(graph.size);
+  const { push, pop, isEmpty } = createHeap();
+  distance[from] = 0;
+  push(0, from);
+
+  while (!isEmpty() && wanted.size > 0) {
+    const node = pop();
+    if (settled[node]) continue;
+    settled[node] = 1;
+    wanted.delete(node);
+
+    for (let e = graph.offsets[node]; e < graph.offsets[node + 1]; e++) {
+      const next = graph.targets[e];
+      const nextDistance = distance[node] + graph.lengths[e];
+      if (nextDistance < distance[next]) {
+        distance[next] = nextDistance;
+        push(nextDistance, next);
+      }
+    }
+  }
+
+  return targets.map(to => (settled[to] ? distance[to] : Infinity));
+}
+
+/**
+ * Route through waypoints on the road graph
+ * Legs without a road connection (waypoint far from any road, separate road
+ * networks) become straight lines and are counted in straightLegs.
+ *
+ * @param {Object} graph - Road graph from buildRoadGraph
+ * @param {Array} waypoints - Array of {lat, lon}
+ * @returns {Object} {coordinates: [lon, lat] positions, distance in km, straightLegs}
+ */
+export function routeOnGraph(graph, waypoints) {
+  const snapped = waypoints.map(wp => snapToGraph(graph, wp));
+  const coordinates = [];
+  const append = (lon, lat) => {
+    const last = coordinates[coordinates.length - 1];
+    if (!last || last[0] !== lon || last[1] !== lat) coordinates.push([lon, lat]);
+  };
+  let straightLegs = 0;
+
+  append(waypoints[0].lon, waypoints[0].lat);
+
+  for (let k = 1; k < waypoints.length; k++) {
+    const path = snapped[k - 1] !== -1 && snapped[k] !== -1
+      ? findPath(graph, snapped[k - 1], snapped[k])
+      : null;
+
+    if (path) {
+      for (const node of path) {
+        append(graph.lon[node], graph.lat[node]);
+      }
+    } else {
+      straightLegs++;
+    }
+    // Waypoints are placed on roads, the connection to the nearest node is short
+    append(waypoints[k].lon, waypoints[k].lat);
+  }
+
+  let distance = 0;
+  for (let k = 1; k < coordinates.length; k++) {
+    distance += distanceKm(coordinates[k - 1][1], coordinates[k - 1][0], coordinates[k][1], coordinates[k][0]);
+  }
+
+  return { coordinates, distance, straightLegs };
+}
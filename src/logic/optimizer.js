@@ -1,21 +1,10 @@
-import { CONFIG } from "./config";
+import { CONFIG } from "./config.js";
+import { cellBounds, cellToTile } from "./tile-math.js";
+import { resolveScoringWeights } from "./scoring-profiles.js";
+import { findHoles } from "./visited-analysis.js";
+import { BitGrid } from "./bit-grid.js";
 
 
-const MODE_MULTIPLIERS = {
-  edge: { edge: 3, hole: 0.3, layerPenalty: 1.0 },
-  holes: { edge: 0.3, hole: 3, layerPenalty: 0.5 },
-  balanced: { edge: 1, hole: 1, layerPenalty: 1.0 }
-};
-
-
-function rectFromIJ(i, j, originLat, originLon, LAT_STEP, LON_STEP) {
-  const s = originLat + i * LAT_STEP;
-  const w = originLon + j * LON_STEP;
-  const n = s + LAT_STEP;
-  const e = w + LON_STEP;
-  return [[s, w], [n, e]];
-}
-
 /**
  * Calculate layer distance from Übersquadrat border
  * Returns {distI, distJ, total} where total is Chebyshev distance (max, not sum)
@@ -31,7 +20,7 @@ function calculateLayerDistance(i, j, base) {
  * Get search area bounds around Übersquadrat
  * @param {number} radius - Number of layers to search (default: 5)
  */
-function getSearchBounds(base, radius = CONFIG.SCAN_RADIUS_RANGE) {
+function getSearchBounds(base, radius = CONFIG.SEARCH_RADIUS) {
   return {
     minI: base.minI - radius,
     maxI: base.maxI + radius,
@@ -61,16 +50,15 @@ function isOnUbersquadratBorder(i, j, base) {
  * Analyze a single edge (N, S, E, or W) of the Übersquadrat
  * Returns edge completion statistics
  */
-function analyzeEdge(name, fixedCoord, start, end, type, visitedSet) {
+function analyzeEdge(name, fixedCoord, start, end, type, visitedGrid) {
   const squares = [];
   let unvisitedCount = 0;
 
   for (let k = start; k <= end; k++) {
     const [i, j] = type === 'row' ? [fixedCoord, k] : [k, fixedCoord];
-    const key = `${i},${j}`;
-    const visited = visitedSet.has(key);
+    const visited = visitedGrid.hasCell(i, j);
 
-    squares.push({ i, j, key, visited });
+    squares.push({ i, j, key: `${i},${j}`, visited });
     if (!visited) unvisitedCount++;
   }
 
@@ -89,12 +77,19 @@ function analyzeEdge(name, fixedCoord, start, end, type, visitedSet) {
   };
 }
 
-function analyzeEdges(base, visitedSet) {
+/**
+ * Analyze all four edges around the Übersquadrat
+ * @param {Object} base - Übersquadrat bounds {minI, maxI, minJ, maxJ}
+ * @param {BitGrid|Iterable} visitedSet - Visited squares (see BitGrid.from)
+ * @returns {Object} Edge statistics keyed by 'N', 'S', 'E', 'W'
+ */
+export function analyzeEdges(base, visitedSet) {
+  const visitedGrid = BitGrid.from(visitedSet);
   const edges = {
-    N: analyzeEdge('N', base.maxI + 1, base.minJ, base.maxJ, 'row', visitedSet),
-    S: analyzeEdge('S', base.minI - 1, base.minJ, base.maxJ, 'row', visitedSet),
-    E: analyzeEdge('E', base.maxJ + 1, base.minI, base.maxI, 'col', visitedSet),
-    W: analyzeEdge('W', base.minJ - 1, base.minI, base.maxI, 'col', visitedSet)
+    N: analyzeEdge('N', base.maxI + 1, base.minJ, base.maxJ, 'row', visitedGrid),
+    S: analyzeEdge('S', base.minI - 1, base.minJ, base.maxJ, 'row', visitedGrid),
+    E: analyzeEdge('E', base.maxJ + 1, base.minI, base.maxI, 'col', visitedGrid),
+    W: analyzeEdge('W', base.minJ - 1, base.minI, base.maxI, 'col', visitedGrid)
   };
 
   return edges;
@@ -102,187 +97,117 @@ function analyzeEdges(base, visitedSet) {
 
 
 /**
- * Flood-fill algorithm to find contiguous unvisited regions
- * @param {number} startI - Starting i coordinate
- * @param {number} startJ - Starting j coordinate
- * @param {Set} visited - Set of already processed squares (modified in-place)
- * @param {Function} isInBounds - Function to check if (i,j) is in search area
- * @param {Set} visitedSet - Set of visited squares from KML
- * @returns {Array} Array of {i, j, key} objects in the contiguous region
- */
-function findContiguousRegion(startI, startJ, visited, isInBounds, visitedSet) {
-  const region = [];
-  const queue = [[startI, startJ]];
-  const regionVisited = new Set();
-  const startKey = `${startI},${startJ}`;
-  regionVisited.add(startKey);
-
-  while (queue.length > 0) {
-    const [i, j] = queue.shift();
-    const key = `${i},${j}`;
-
-    if (visited.has(key) || visitedSet.has(key)) continue;
-    if (!isInBounds(i, j)) continue;
-
-    region.push({ i, j, key });
-    visited.add(key);
-
-    const neighborKeys = getNeighborKeys(i, j);
-    const neighbors = [[i - 1, j], [i + 1, j], [i, j - 1], [i, j + 1]];
-
-    for (let idx = 0; idx < neighbors.length; idx++) {
-      const [ni, nj] = neighbors[idx];
-      const nKey = neighborKeys[idx];
-      if (!regionVisited.has(nKey) && !visitedSet.has(nKey) && isInBounds(ni, nj)) {
-        regionVisited.add(nKey);
-        queue.push([ni, nj]);
-      }
-    }
-  }
-
-  return region;
-}
-
-/**
- * Detect all holes (contiguous unvisited regions) within search area
+ * Holes of the visited area small enough to be worth filling
+ * Holes are found by enclosure over the whole visited cluster (see findHoles),
+ * not only near the Übersquadrat.
  * @param {Object} base - Übersquadrat bounds {minI, maxI, minJ, maxJ}
- * @param {Set} visitedSet - Set of "i,j" visited squares
+ * @param {BitGrid} visitedGrid - Visited squares
  * @param {number} maxHoleSize - Maximum hole size to keep (1-20)
  * @returns {Array} Array of hole objects {id, squares, size, avgLayer}
  */
-function detectHoles(base, visitedSet, maxHoleSize) {
-  const searchBounds = getSearchBounds(base, 5);
-
-  function isInSearchBounds(i, j) {
-    return (
-      i >= searchBounds.minI && i <= searchBounds.maxI &&
-      j >= searchBounds.minJ && j <= searchBounds.maxJ
-    );
-  }
-
-  const holes = [];
-  const processedSquares = new Set();
-
-  for (let i = searchBounds.minI; i <= searchBounds.maxI; i++) {
-    for (let j = searchBounds.minJ; j <= searchBounds.maxJ; j++) {
-      const key = `${i},${j}`;
-
-      if (processedSquares.has(key) || visitedSet.has(key)) continue;
-
-      const region = findContiguousRegion(i, j, processedSquares, isInSearchBounds, visitedSet);
-
-      if (region.length > 0) {
-        let totalLayerDist = 0;
-        region.forEach(sq => {
-          totalLayerDist += calculateLayerDistance(sq.i, sq.j, base).total;
-        });
-        const avgLayer = totalLayerDist / region.length;
-
-        const hole = {
-          id: holes.length,
-          squares: region,
-          size: region.length,
-          avgLayer: avgLayer
-        };
-        holes.push(hole);
-      }
-    }
-  }
-
-  const validHoles = holes.filter(h => h.size <= maxHoleSize);
-
-  return validHoles;
-}
-
-/**
- * Build map of square keys to their containing holes
- * @param {Array} holes - Array of hole objects
- * @returns {Map} Map of "i,j" → hole object
- */
-function buildHoleMap(holes) {
-  const squareToHoleMap = new Map();
-  holes.forEach(hole => {
-    hole.squares.forEach(sq => {
-      squareToHoleMap.set(sq.key, hole);
+function detectHoles(base, visitedGrid, maxHoleSize) {
+  return findHoles(visitedGrid)
+    .filter(hole => hole.size <= maxHoleSize)
+    .map(hole => {
+      const totalLayerDist = hole.squares.reduce(
+        (sum, sq) => sum + calculateLayerDistance(sq.i, sq.j, base).total,
+        0
+      );
+      return { ...hole, avgLayer: totalLayerDist / hole.size };
     });
-  });
-  return squareToHoleMap;
 }
 
 /**
- * Main optimization entry point
+ * Score all unvisited squares around the Übersquadrat
  *
- * @param {Object} base - Übersquadrat bounds {minI, maxI, minJ, maxJ}
- * @param {number} targetNew - Number of new squares to recommend
- * @param {Array} direction - Selected directions ['N', 'S', 'E', 'W']
- * @param {Set} visitedSet - Set of "i,j" visited squares
- * @param {number} LAT_STEP - Grid cell height (degrees)
- * @param {number} LON_STEP - Grid cell width (degrees)
- * @param {number} originLat - Grid origin latitude
- * @param {number} originLon - Grid origin longitude
- * @param {string} optimizationMode - 'balanced', 'edge', or 'holes'
- * @param {number} maxHoleSize - Maximum hole size to consider (1-10)
- * @returns {Object} {rectangles, metadata} - Array of rectangle bounds and metadata
+ * @param {Object} params
+ * @param {Object} params.base - Übersquadrat bounds {minI, maxI, minJ, maxJ}
+ * @param {Array} params.directions - Selected directions ['N', 'S', 'E', 'W']
+ * @param {BitGrid|Iterable} params.visitedSet - Visited squares (see BitGrid.from)
+ * @param {Object} params.gridParams - Grid parameters {zoom, originX, originY}
+ * @param {string|Object} params.mode - Preset 'balanced', 'edge' or 'holes', or scoring weights (see scoring-profiles.js)
+ * @param {number} params.maxHoleSize - Maximum hole size to consider (1-10)
+ * @param {Set|null} params.excludedSet - Set of "i,j" unreachable squares (exclusion zones), never proposed
+ * @param {number} params.searchRadius - Layers around the Übersquadrat scanned for candidates; squares of
+ *                                       holes are candidates wherever the hole lies
+ * @returns {Array} Scored candidates {i, j, key, edge, tile, score, scoreBreakdown, layerDistance, hole}, best first
  */
-export function optimizeSquare(
+export function scoreCandidates({
   base,
-  targetNew,
-  direction,
+  directions = ['N', 'S', 'E', 'W'],
   visitedSet,
-  LAT_STEP,
-  LON_STEP,
-  originLat,
-  originLon,
-  optimizationMode = 'balanced',
-  maxHoleSize = 5
-) {
+  gridParams,
+  mode = 'balanced',
+  maxHoleSize = 5,
+  excludedSet = null,
+  searchRadius = CONFIG.SEARCH_RADIUS
+}) {
+  const weights = resolveScoringWeights(mode);
+  const visitedGrid = BitGrid.from(visitedSet);
+
   //  PHASE 1: EDGE ANALYSIS 
-  const edges = analyzeEdges(base, visitedSet);
+  const edges = analyzeEdges(base, visitedGrid);
 
   //  PHASE 2: HOLE DETECTION 
-  const holes = detectHoles(base, visitedSet, maxHoleSize);
-  const squareToHoleMap = buildHoleMap(holes);
+  const holes = detectHoles(base, visitedGrid, maxHoleSize);
 
-  //  PHASE 3: FIND ALL PERIMETER SQUARES 
+  //  PHASE 3: FIND ALL PERIMETER SQUARES (AND HOLES FURTHER OUT) 
   function findPerimeterSquares() {
-    const candidates = new Map();
-    const bounds = getSearchBounds(base, 5);
-
-    for (let i = bounds.minI; i <= bounds.maxI; i++) {
-      for (let j = bounds.minJ; j <= bounds.maxJ; j++) {
-        const key = `${i},${j}`;
-
-        if (visitedSet.has(key)) continue;
-
-        const positions = {
-          N: i > base.maxI,
-          S: i < base.minI,
-          E: j > base.maxJ,
-          W: j < base.minJ
-        };
-
-        const layerDist = calculateLayerDistance(i, j, base).total;
+    const candidates = [];
+    const bounds = getSearchBounds(base, searchRadius);
+    const width = bounds.maxJ - bounds.minJ + 1;
+    // Candidate index + 1 per cell of the search area (0 = no candidate)
+    const areaCandidates = new Int32Array((bounds.maxI - bounds.minI + 1) * width);
+
+    function addCandidate(i, j, key, hole) {
+      if (visitedGrid.hasCell(i, j)) return false;
+      if (excludedSet && excludedSet.has(key)) return false;
+
+      const positions = {
+        N: i > base.maxI,
+        S: i < base.minI,
+        E: j > base.maxJ,
+        W: j < base.minJ
+      };
 
-        if (layerDist > 5) continue;
+      const edge = Object.keys(positions).filter(k => positions[k]).join('');
 
-        const edge = Object.keys(positions).filter(k => positions[k]).join('');
+      candidates.push({ i, j, edge, key, tile: cellToTile(i, j, gridParams), hole });
+      return true;
+    }
 
-        candidates.set(key, { i, j, edge, key });
+    for (let i = bounds.minI; i <= bounds.maxI; i++) {
+      for (let j = bounds.minJ; j <= bounds.maxJ; j++) {
+        if (addCandidate(i, j, `${i},${j}`, undefined)) {
+          areaCandidates[(i - bounds.minI) * width + (j - bounds.minJ)] = candidates.length;
+        }
       }
     }
 
-    return Array.from(candidates.values());
+    // Holes are disjoint, so only their squares inside the search area can be candidates already
+    holes.forEach(hole => {
+      hole.squares.forEach(sq => {
+        const inArea = sq.i >= bounds.minI && sq.i <= bounds.maxI && sq.j >= bounds.minJ && sq.j <= bounds.maxJ;
+        if (!inArea) {
+          addCandidate(sq.i, sq.j, sq.key, hole);
+          return;
+        }
+        const index = areaCandidates[(sq.i - bounds.minI) * width + (sq.j - bounds.minJ)];
+        if (index > 0) candidates[index - 1].hole = hole;
+      });
+    });
+
+    return candidates;
   }
 
-  const allCandidates = findPerimeterSquares();
-  const unvisited = allCandidates.filter(c => !visitedSet.has(`${c.i},${c.j}`));
+  const unvisited = findPerimeterSquares();
 
   //  PHASE 4: STRATEGIC SCORING 
   const scored = unvisited.map(square => {
-    let score = 100;
+    let score = weights.base;
 
     const scoreBreakdown = {
-      base: 100,
+      base: weights.base,
       layerScore: 0,
       edgeBonus: 0,
       holeBonus: 0,
@@ -292,42 +217,37 @@ export function optimizeSquare(
     const isBorder = isOnUbersquadratBorder(square.i, square.j, base);
     const layerDistance = isBorder ? 0 : calculateLayerDistance(square.i, square.j, base).total;
 
-    if (layerDistance === 0) scoreBreakdown.layerScore = 10000;
-    else if (layerDistance === 1) scoreBreakdown.layerScore = 5000;
-    else if (layerDistance === 2) scoreBreakdown.layerScore = 2000;
-    else if (layerDistance === 3) scoreBreakdown.layerScore = 500;
-    else if (layerDistance === 4) scoreBreakdown.layerScore = -1000;
-    else if (layerDistance >= 5) scoreBreakdown.layerScore = -2000;
+    const layerScores = weights.layerScores;
+    scoreBreakdown.layerScore = layerScores[Math.min(layerDistance, layerScores.length - 1)];
 
     // === EDGE COMPLETION MODE ===
     const maxEdgeCompletion = ['N', 'S', 'E', 'W']
       .filter(dir => square.edge.includes(dir))
       .reduce((max, dir) => Math.max(max, edges[dir].completion), 0);
-    let edgeBonusRaw = Math.floor(maxEdgeCompletion * 30);  // max 3,000 no bonus
+    let edgeBonusRaw = Math.floor(maxEdgeCompletion * weights.edgeCompletionFactor);  // default max 3,000
 
     // === HOLE FILLING MODE ===
-    const squareKey = `${square.i},${square.j}`;
-    const hole = squareToHoleMap.get(squareKey);
+    const hole = square.hole;
     let holeSizeBonusRaw = 0;
     let holeCompletionBonus = 0;
 
     if (hole) {
-      let holeMultiplier = 200;   // max 2,000 for size 10
-      if (layerDistance >= 3) holeMultiplier = 150;
-      if (layerDistance >= 5) holeMultiplier = 100;
+      let holeMultiplier = weights.holeMultipliers.near;   // default max 2,000 for size 10
+      if (layerDistance >= 3) holeMultiplier = weights.holeMultipliers.mid;
+      if (layerDistance >= 5) holeMultiplier = weights.holeMultipliers.far;
 
       holeSizeBonusRaw = hole.size * holeMultiplier;
 
       const unvisitedInHole = hole.squares.filter(
-        sq => !visitedSet.has(sq.key) && sq.key !== squareKey
+        sq => !visitedGrid.hasCell(sq.i, sq.j) && sq.key !== square.key
       ).length;
       if (unvisitedInHole === 0) {
-        holeCompletionBonus = 1500;  
+        holeCompletionBonus = weights.holeCompletionBonus;
       }
     }
 
     //  MODE MULTIPLIERS 
-    const mult = MODE_MULTIPLIERS[optimizationMode] || MODE_MULTIPLIERS.balanced;
+    const mult = weights.multipliers;
 
     // Apply layer penalty reduction in holes mode (negative scores only)
   if (mult.layerPenalty !== undefined && mult.layerPenalty !== 1.0) { 
@@ -341,12 +261,14 @@ export function optimizeSquare(
     score += scoreBreakdown.edgeBonus + scoreBreakdown.holeBonus;
 
     // === ADJACENCY ===
-    const adjacency = getNeighborKeys(square.i, square.j).filter(n => visitedSet.has(n)).length;
-    scoreBreakdown.adjacencyBonus = adjacency * 25;
+    const { i, j } = square;
+    const adjacency = visitedGrid.hasCell(i - 1, j) + visitedGrid.hasCell(i + 1, j) +
+      visitedGrid.hasCell(i, j - 1) + visitedGrid.hasCell(i, j + 1);
+    scoreBreakdown.adjacencyBonus = adjacency * weights.adjacencyBonus;
     score += scoreBreakdown.adjacencyBonus;
 
     // === DIRECTION FILTER ===
-    if (Array.isArray(direction) && direction.length < 4) {
+    if (Array.isArray(directions) && directions.length < 4) {
       const matches = {
         N: square.i > base.maxI,
         S: square.i < base.minI,
@@ -354,37 +276,265 @@ export function optimizeSquare(
         W: square.j < base.minJ
       };
 
-      const matchesAnyDirection = direction.some(dir => matches[dir]);
+      const matchesAnyDirection = directions.some(dir => matches[dir]);
 
-      if (!matchesAnyDirection) score -= 1000000;
+      if (!matchesAnyDirection) {
+        scoreBreakdown.directionPenalty = -1000000;
+        score += scoreBreakdown.directionPenalty;
+      }
     }
 
     return { ...square, score, scoreBreakdown, layerDistance, hole };
   });
 
-  //  PHASE 5: SELECT TOP N BY SCORE 
-  if (scored.length === 0) {
-    return { rectangles: [], metadata: [] };
+  scored.sort((a, b) => b.score - a.score);
+  return scored;
+}
+
+// ===== SELECTION =====
+
+/**
+ * Manhattan distance from a square to the closest picked square
+ * @param {Object} square - {i, j}
+ * @param {Array} picks - Picked squares {i, j}
+ * @returns {number} Distance in squares (Infinity without picks)
+ */
+function distanceToPicks(square, picks) {
+  let min = Infinity;
+  for (const pick of picks) {
+    const d = Math.abs(square.i - pick.i) + Math.abs(square.j - pick.j);
+    if (d < min) min = d;
   }
+  return min;
+}
 
-  scored.sort((a, b) => b.score - a.score);
-  const selected = scored.slice(0, targetNew);
+/**
+ * Candidate for a manually picked (pinned) square
+ * Uses the scored entry if the square lies in the scored search area,
+ * otherwise a neutral entry with score 0.
+ * @param {number} i - Row index
+ * @param {number} j - Column index
+ * @param {Array} scored - Result of scoreCandidates
+ * @param {Object} base - Übersquadrat bounds {minI, maxI, minJ, maxJ}
+ * @param {Object} gridParams - Grid parameters {zoom, originX, originY}
+ * @returns {Object} Candidate marked as pinned
+ */
+export function pinnedCandidate(i, j, scored, base, gridParams) {
+  const key = `${i},${j}`;
+  const existing = scored.find(c => c.key === key);
+  if (existing) {
+    return { ...existing, pinned: true };
+  }
+
+  const edge = [
+    i > base.maxI ? 'N' : '',
+    i < base.minI ? 'S' : '',
+    j > base.maxJ ? 'E' : '',
+    j < base.minJ ? 'W' : ''
+  ].join('');
+
+  return {
+    i,
+    j,
+    key,
+    edge,
+    tile: cellToTile(i, j, gridParams),
+    score: 0,
+    scoreBreakdown: { base: 0, layerScore: 0, edgeBonus: 0, holeBonus: 0, adjacencyBonus: 0 },
+    layerDistance: calculateLayerDistance(i, j, base).total,
+    hole: undefined,
+    pinned: true
+  };
+}
+
+/**
+ * Candidates for a list of pinned squares
+ * @param {Array} pinnedKeys - "i,j" keys
+ * @param {Array} scored - Result of scoreCandidates
+ * @param {Object} base - Übersquadrat bounds {minI, maxI, minJ, maxJ}
+ * @param {Object} gridParams - Grid parameters {zoom, originX, originY}
+ * @returns {Array} Pinned candidates
+ */
+export function pinnedCandidates(pinnedKeys, scored, base, gridParams) {
+  return pinnedKeys.map(key => {
+    const [i, j] = key.split(',').map(Number);
+    return pinnedCandidate(i, j, scored, base, gridParams);
+  });
+}
+
+/**
+ * Turn proposal metadata back into candidates (e.g. to edit a proposal)
+ * @param {Array} metadata - Metadata from buildProposal
+ * @returns {Array} Candidates in the order of the metadata
+ */
+export function candidatesFromMetadata(metadata) {
+  return metadata.map(meta => ({
+    i: meta.gridCoords.i,
+    j: meta.gridCoords.j,
+    key: `${meta.gridCoords.i},${meta.gridCoords.j}`,
+    edge: meta.edge || '',
+    tile: { x: meta.tile.x, y: meta.tile.y },
+    score: meta.score ?? 0,
+    scoreBreakdown: meta.scoreBreakdown ?? { base: 0, layerScore: 0, edgeBonus: 0, holeBonus: 0, adjacencyBonus: 0 },
+    layerDistance: meta.layerDistance ?? 0,
+    hole: meta.hole,
+    pinned: meta.pinned
+  }));
+}
+
+/**
+ * Select the squares to propose
+ * Pinned squares are always taken first and count towards targetNew.
+ * With compactness 0 the remaining slots are the top-N by score. Otherwise squares
+ * are picked greedily and each remaining square gets a bonus of
+ * compactness × CONFIG.COMPACTNESS_BONUS / (distance to the closest pick),
+ * so neighbours of earlier (or pinned) picks win over equally scored squares far away.
+ * @param {Array} scored - Scored candidates, best first
+ * @param {number} targetNew - Number of squares to select
+ * @param {number} compactness - Compactness weight (0-1)
+ * @param {Array} pinned - Pinned candidates (see pinnedCandidate)
+ * @returns {Array} Selected candidates in selection order
+ */
+export function selectCandidates(scored, targetNew, compactness = 0, pinned = []) {
+  const pinnedKeys = new Set(pinned.map(c => c.key));
+  const free = pinnedKeys.size > 0 ? scored.filter(c => !pinnedKeys.has(c.key)) : scored;
 
-  const rectangles = selected.map(s => rectFromIJ(s.i, s.j, originLat, originLon, LAT_STEP, LON_STEP));
+  if (compactness <= 0) {
+    return [...pinned, ...free.slice(0, Math.max(0, targetNew - pinned.length))];
+  }
+
+  const remaining = [...free];
+  const picks = [...pinned];
+
+  while (picks.length < targetNew && remaining.length > 0) {
+    let bestIndex = 0;
+    let bestTotal = -Infinity;
+    let bestBonus = 0;
+
+    remaining.forEach((candidate, index) => {
+      const distance = distanceToPicks(candidate, picks);
+      const bonus = distance === Infinity ? 0 : Math.floor(compactness * CONFIG.COMPACTNESS_BONUS / distance);
+      if (candidate.score + bonus > bestTotal) {
+        bestTotal = candidate.score + bonus;
+        bestIndex = index;
+        bestBonus = bonus;
+      }
+    });
+
+    const [picked] = remaining.splice(bestIndex, 1);
+    picks.push({
+      ...picked,
+      scoreBreakdown: { ...picked.scoreBreakdown, compactnessBonus: bestBonus }
+    });
+  }
+
+  return picks;
+}
+
+/**
+ * Group squares into 4-connected clusters
+ * @param {Array} squares - Squares {i, j}
+ * @returns {Array} Cluster id (0-based) per square, in input order
+ */
+function labelClusters(squares) {
+  const indexByKey = new Map(squares.map((s, index) => [`${s.i},${s.j}`, index]));
+  const labels = new Array(squares.length).fill(-1);
+  let nextLabel = 0;
+
+  squares.forEach((square, start) => {
+    if (labels[start] !== -1) return;
+
+    labels[start] = nextLabel;
+    const queue = [square];
+    for (let head = 0; head < queue.length; head++) {
+      const { i, j } = queue[head];
+      for (const key of getNeighborKeys(i, j)) {
+        const index = indexByKey.get(key);
+        if (index !== undefined && labels[index] === -1) {
+          labels[index] = nextLabel;
+          queue.push(squares[index]);
+        }
+      }
+    }
+    nextLabel++;
+  });
+
+  return labels;
+}
+
+/**
+ * Convert selected candidates into proposed squares
+ * Each metadata entry carries the cluster of touching picks it belongs to
+ * and the total number of such clusters.
+ * @param {Array} selected - Scored candidates in selection order
+ * @param {Object} gridParams - Grid parameters {zoom, originX, originY}
+ * @returns {Object} {rectangles, metadata, clusterCount}
+ */
+export function buildProposal(selected, gridParams) {
+  const rectangles = selected.map(s => cellBounds(s.i, s.j, gridParams));
+  const clusters = labelClusters(selected);
+  const clusterCount = selected.length > 0 ? Math.max(...clusters) + 1 : 0;
 
   const metadata = selected.map((s, index) => ({
     bounds: rectangles[index],
     gridCoords: { i: s.i, j: s.j },
+    tile: { ...s.tile, z: gridParams.zoom },
     score: s.score,
     scoreBreakdown: s.scoreBreakdown,
     layerDistance: s.layerDistance,
     selectionOrder: index + 1,
     edge: s.edge && s.edge.length > 0 ? s.edge : undefined,
-    hole: s.hole ? { size: s.hole.size, id: s.hole.id } : undefined
+    hole: s.hole ? { size: s.hole.size, id: s.hole.id } : undefined,
+    pinned: s.pinned || undefined,
+    cluster: { id: clusters[index] + 1, count: clusterCount }
   }));
 
   return {
     rectangles,
-    metadata
+    metadata,
+    clusterCount
+  };
+}
+
+/**
+ * Main optimization entry point
+ *
+ * @param {Object} params
+ * @param {Object} params.base - Übersquadrat bounds {minI, maxI, minJ, maxJ}
+ * @param {number} params.numSquares - Number of new squares to recommend
+ * @param {Array} params.directions - Selected directions ['N', 'S', 'E', 'W']
+ * @param {BitGrid|Iterable} params.visitedSet - Visited squares (see BitGrid.from)
+ * @param {Object} params.gridParams - Grid parameters {zoom, originX, originY}
+ * @param {string|Object} params.mode - Preset 'balanced', 'edge' or 'holes', or scoring weights
+ * @param {number} params.maxHoleSize - Maximum hole size to consider (1-10)
+ * @param {number} params.compactness - Weight (0-1) rewarding squares close to other picks
+ * @param {Set|null} params.excludedSet - Set of "i,j" unreachable squares (exclusion zones)
+ * @param {Array} params.pinnedKeys - "i,j" keys of manually pinned squares, always part of the result
+ * @param {number} params.searchRadius - Layers around the Übersquadrat scanned for candidates
+ * @returns {Object} {rectangles, metadata, clusterCount, candidates} - Array of rectangle bounds and metadata,
+ *                   plus all scored candidates (best first) for the heatmap
+ */
+export function optimizeSquare({
+  base,
+  numSquares,
+  directions = ['N', 'S', 'E', 'W'],
+  visitedSet,
+  gridParams,
+  mode = 'balanced',
+  maxHoleSize = 5,
+  compactness = 0,
+  excludedSet = null,
+  pinnedKeys = [],
+  searchRadius = CONFIG.SEARCH_RADIUS
+}) {
+  const scored = scoreCandidates({
+    base, directions, visitedSet, gridParams, mode, maxHoleSize, excludedSet, searchRadius
+  });
+  const pinned = pinnedCandidates(pinnedKeys, scored, base, gridParams);
+
+  //  PHASE 5: SELECT TOP N (pinned first, optionally compact)
+  return {
+    ...buildProposal(selectCandidates(scored, numSquares, compactness, pinned), gridParams),
+    candidates: scored
   };
 }
@@ -0,0 +1,114 @@
+/**
+ * Main-thread side of the planner worker (see planner-worker.js)
+ *
+ * Every running task has a worker of its own, so cancelling one task can
+ * terminate its worker without touching other tasks. Finished workers are
+ * kept idle for the next task to avoid loading the modules again.
+ */
+
+import { BitGrid } from './bit-grid.js';
+
+const MAX_IDLE_WORKERS = 2;
+const idleWorkers = [];
+let nextTaskId = 1;
+
+/**
+ * Structured cloning drops the BitGrid prototype of visited sets in results
+ * @param {Object} levels - {squadrat, squadratinho} with {gridParams, visitedSet, declared} or null
+ * @returns {Object} Levels with BitGrid visited sets
+ */
+function reviveLevels(levels) {
+  const revived = {};
+  for (const [name, level] of Object.entries(levels)) {
+    revived[name] = level && { ...level, visitedSet: BitGrid.from(level.visitedSet) };
+  }
+  return revived;
+}
+
+// Results of these tasks need their grids restored
+const RESULT_REVIVERS = {
+  loadSquadrats: (result) => ({ ...result, levels: reviveLevels(result.levels) })
+};
+
+function createWorker() {
+  return new Worker(new URL('./planner-worker.js', import.meta.url), { type: 'module' });
+}
+
+/**
+ * Whether an error comes from cancelling a task
+ * @param {Error} error - Rejection reason of a task promise
+ * @returns {boolean}
+ */
+export function isCancelled(error) {
+  return error?.name === 'AbortError';
+}
+
+/**
+ * Run a planning task in a Web Worker
+ * @param {string} type - 'loadSquadrats', 'optimize', 'optimizeBudget', 'campaign' or 'route'
+ * @param {Object} payload - Task input; must be structured-cloneable (no reactive proxies)
+ * @param {Function} onProgress - Optional callback for progress messages
+ * @returns {Object} {promise, cancel} - promise resolves with the task result; cancel() terminates
+ *                   the task and rejects the promise with an AbortError
+ */
+export function runTask(type, payload, onProgress = null) {
+  const id = nextTaskId++;
+  const worker = idleWorkers.pop() || createWorker();
+  let settled = false;
+  let rejectTask = null;
+
+  function release(reusable) {
+    settled = true;
+    worker.onmessage = null;
+    worker.onerror = null;
+    if (reusable && idleWorkers.length < MAX_IDLE_WORKERS) {
+      idleWorkers.push(worker);
+    } else {
+      worker.terminate();
+    }
+  }
+
+  const promise = new Promise((resolve, reject) => {
+    rejectTask = reject;
+
+    worker.onmessage = ({ data }) => {
+      if (data.id !== id) return;
+
+      if (data.type === 'progress') {
+        if (onProgress) onProgress(data.message);
+        return;
+      }
+
+      release(true);
+      if (data.type === 'result') {
+        const revive = RESULT_REVIVERS[type];
+        resolve(revive ? revive(data.result) : data.result);
+      } else {
+        reject(new Error(data.message));
+      }
+    };
+
+    worker.onerror = (event) => {
+      release(false);
+      reject(new Error(event.message || 'Fehler im Hintergrundprozess'));
+    };
+
+    try {
+      worker.postMessage({ id, type, payload });
+    } catch (error) {
+      release(true);
+      reject(error);
+    }
+  });
+
+  function cancel() {
+    if (settled) return;
+    release(false);
+
+    const error = new Error('Berechnung abgebrochen');
+    error.name = 'AbortError';
+    rejectTask(error);
+  }
+
+  return { promise, cancel };
+}
@@ -0,0 +1,96 @@
+import { DOMParser } from '@xmldom/xmldom';
+import { loadSquadratsFile } from './squadrats-loader.js';
+import { optimizeSquare } from './optimizer.js';
+import { optimizeWithinBudget } from './budget-optimizer.js';
+import { planCampaign } from './campaign-planner.js';
+import { calculateRoute } from './router.js';
+import { BitGrid } from './bit-grid.js';
+
+/**
+ * Web Worker running the heavy planning pipelines off the main thread
+ *
+ * Protocol (see planner-client.js):
+ *   main → worker  {id, type, payload}
+ *   worker → main  {id, type: 'progress', message}
+ *                  {id, type: 'result', result}
+ *                  {id, type: 'error', message}
+ *
+ * Cancelling a task terminates its worker, so the tasks need no cancellation checks.
+ * Visited sets arrive as cloned BitGrid fields and are turned back into BitGrids.
+ */
+
+// Workers have no DOMParser, the squadrats loader needs one for KML
+if (typeof globalThis.DOMParser === 'undefined') {
+  globalThis.DOMParser = DOMParser;
+}
+
+const TASKS = {
+  /**
+   * Parse a squadrats file and build the grids of all levels
+   * @param {Object} payload - {content, filename}
+   */
+  loadSquadrats({ content, filename }, progress) {
+    progress('Lese Squadrats-Datei...');
+    return loadSquadratsFile(content, filename);
+  },
+
+  /**
+   * Pick a number of squares (see optimizeSquare)
+   */
+  optimize(payload, progress) {
+    progress('Bewerte Kandidaten...');
+    return optimizeSquare({ ...payload, visitedSet: BitGrid.from(payload.visitedSet) });
+  },
+
+  /**
+   * Fill a ride budget (see optimizeWithinBudget)
+   */
+  optimizeBudget(payload, progress) {
+    progress('Bewerte Kandidaten...');
+    return optimizeWithinBudget({ ...payload, visitedSet: BitGrid.from(payload.visitedSet) });
+  },
+
+  /**
+   * Plan several rides (see planCampaign)
+   */
+  campaign(payload, progress) {
+    return planCampaign({
+      ...payload,
+      visitedSet: BitGrid.from(payload.visitedSet),
+      onProgress: (number, rides) => progress(`Plane Fahrt ${number} von ${rides}...`)
+    });
+  },
+
+  /**
+   * Place waypoints on roads and route them (see calculateRoute)
+   * @param {Object} payload - {proposal, startPoint, bikeType, roundtrip, backend, waypointMargin}
+   */
+  route(payload, progress) {
+    return calculateRoute(
+      payload.proposal,
+      payload.startPoint,
+      payload.bikeType,
+      payload.roundtrip,
+      payload.backend,
+      progress,
+      payload.waypointMargin
+    );
+  }
+};
+
+self.onmessage = async ({ data }) => {
+  const { id, type, payload } = data;
+  const progress = (message) => self.postMessage({ id, type: 'progress', message });
+
+  try {
+    const task = TASKS[type];
+    if (!task) {
+      throw new Error(`Unbekannte Aufgabe: ${type}`);
+    }
+
+    const result = await task(payload, progress);
+    self.postMessage({ id, type: 'result', result });
+  } catch (error) {
+    self.postMessage({ id, type: 'error', message: error.message });
+  }
+};
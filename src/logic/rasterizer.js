@@ -0,0 +1,106 @@
+import { lonToTileX, latToTileY } from './tile-math.js';
+
+/**
+ * Scanline polygon rasterizer on the slippy-map tile grid
+ *
+ * Polygons are projected into fractional tile coordinates once, then every tile
+ * row is filled between pairs of edge crossings at the row's center line
+ * (even-odd rule). A tile counts as covered when its center lies inside the
+ * polygon, which matches the old point-in-polygon test but costs only
+ * O(perimeter + filled tiles) per polygon.
+ */
+
+/**
+ * Convert a ring of [lat, lon] coordinates to fractional tile coordinates
+ * @param {Array} ring - Array of [lat, lon] coordinates
+ * @param {number} zoom - Tile zoom level
+ * @returns {Array} Array of [x, y] fractional tile coordinates
+ */
+function ringToTileCoords(ring, zoom) {
+  return ring.map(([lat, lon]) => [lonToTileX(lon, zoom), latToTileY(lat, zoom)]);
+}
+
+/**
+ * Collect the x crossings of every tile row center line with the polygon edges
+ * Rows are keyed by tile y; each ring is treated as closed.
+ * @param {Array} rings - Rings in tile coordinates (outer ring and holes)
+ * @returns {Map} Map of tile y → array of crossing x values
+ */
+function collectRowCrossings(rings) {
+  const crossings = new Map();
+
+  for (const ring of rings) {
+    const n = ring.length;
+    if (n < 3) continue;
+
+    for (let k = 0; k < n; k++) {
+      const [x1, y1] = ring[k];
+      const [x2, y2] = ring[(k + 1) % n];
+
+      if (y1 === y2) continue;
+
+      const yTop = Math.min(y1, y2);
+      const yBottom = Math.max(y1, y2);
+
+      // Rows whose center line (row + 0.5) lies in [yTop, yBottom)
+      const rowStart = Math.ceil(yTop - 0.5);
+      const rowEnd = Math.ceil(yBottom - 0.5) - 1;
+      const slope = (x2 - x1) / (y2 - y1);
+
+      for (let row = rowStart; row <= rowEnd; row++) {
+        const x = x1 + (row + 0.5 - y1) * slope;
+        if (!crossings.has(row)) crossings.set(row, []);
+        crossings.get(row).push(x);
+      }
+    }
+  }
+
+  return crossings;
+}
+
+/**
+ * Rasterize a single polygon with holes
+ * @param {Object} polygon - Polygon {outer, holes} with [lat, lon] coordinates
+ * @param {number} zoom - Tile zoom level
+ * @param {Function} onTile - Called with (x, y) for every covered tile
+ * @returns {number} Number of covered tiles
+ */
+export function rasterizePolygon(polygon, zoom, onTile) {
+  const rings = [polygon.outer, ...(polygon.holes || [])].map(ring => ringToTileCoords(ring, zoom));
+  const crossings = collectRowCrossings(rings);
+
+  let count = 0;
+
+  for (const [row, xs] of crossings) {
+    xs.sort((a, b) => a - b);
+
+    for (let k = 0; k + 1 < xs.length; k += 2) {
+      // Columns whose center (col + 0.5) lies in [xs[k], xs[k + 1])
+      const colStart = Math.ceil(xs[k] - 0.5);
+      const colEnd = Math.ceil(xs[k + 1] - 0.5) - 1;
+
+      for (let col = colStart; col <= colEnd; col++) {
+        onTile(col, row);
+        count++;
+      }
+    }
+  }
+
+  return count;
+}
+
+/**
+ * Rasterize a list of polygons (e.g. the parts of a MultiPolygon)
+ * Tiles covered by several polygons are reported once per polygon.
+ * @param {Array} polygons - Polygons {outer, holes} with [lat, lon] coordinates
+ * @param {number} zoom - Tile zoom level
+ * @param {Function} onTile - Called with (x, y) for every covered tile
+ * @returns {number} Number of reported tiles
+ */
+export function rasterizePolygons(polygons, zoom, onTile) {
+  let count = 0;
+  for (const polygon of polygons) {
+    count += rasterizePolygon(polygon, zoom, onTile);
+  }
+  return count;
+}
@@ -3,6 +3,10 @@ import { fetchRoadsFromInstance, OVERPASS_INSTANCES } from './road-fetcher.js';
 import { optimizeWaypoints, optimizeWaypointsWithSequence, calculateCombinedBounds } from './waypoint-optimizer.js';
 import { pointsMatch } from './bounds-utils.js';
 import { callBRouterAPI, parseBRouterResponse } from './brouter-api.js';
+import { getRoutingBackend, DEFAULT_ROUTING_BACKEND, FALLBACK_ROUTING_BACKEND, PROFILE_UNAVAILABLE_MESSAGE } from './routing-backends.js';
+import { buildRoadGraph } from './offline-router.js';
+import { createDistanceMatrix } from './distance-matrix.js';
+import { cellBounds } from './tile-math.js';
 
 export { callBRouterAPI, parseBRouterResponse };
 
@@ -53,56 +57,62 @@ function groupSquaresByDirection(squares) {
 }
 
 /**
- * Extract proposed squares from Leaflet layer
- * Returns center points of all rectangles in the layer
+ * Convert a cell's bounds into the square object used for routing
+ * @param {Array} bounds - [[south, west], [north, east]]
+ * @param {Object} gridCoords - Optional grid coordinates {i, j}
+ * @returns {Object} {lat, lon, bounds: {north, south, east, west}, gridCoords}
+ */
+function squareFromBounds([[south, west], [north, east]], gridCoords) {
+  return {
+    lat: (south + north) / 2,
+    lon: (west + east) / 2,
+    bounds: { north, south, east, west },
+    gridCoords
+  };
+}
+
+/**
+ * Convert proposed squares into the squares to route through
+ * Accepts the result of optimizeSquare/buildProposal ({rectangles, metadata}, where
+ * metadata[k] belongs to rectangles[k]) or grid coordinates ({cells: [{i, j}], gridParams}).
  *
- * @param {L.LayerGroup} proposedLayer - Leaflet layer with proposed squares
- * @param {Array} proposedMetadata - Optional metadata with grid coordinates
+ * @param {Object} proposal - {rectangles, metadata} or {cells, gridParams}
  * @returns {Array} Array of {lat, lon, bounds, gridCoords} objects
  */
-export function extractProposedSquares(proposedLayer, proposedMetadata = []) {
-  const squares = [];
-
-  proposedLayer.eachLayer((layer, index) => {
-    if (layer.getBounds) {
-      const bounds = layer.getBounds();
-      const center = bounds.getCenter();
-
-      const meta = proposedMetadata[squares.length]; 
-      const gridCoords = meta?.gridCoords;
-
-      squares.push({
-        lat: center.lat,
-        lon: center.lng,
-        bounds: {
-          north: bounds.getNorth(),
-          south: bounds.getSouth(),
-          east: bounds.getEast(),
-          west: bounds.getWest()
-        },
-        gridCoords: gridCoords
-      });
+export function toRouteSquares(proposal) {
+  if (proposal.cells) {
+    if (!proposal.gridParams) {
+      throw new Error('Für Rasterkoordinaten werden Rasterparameter benötigt');
     }
-  });
+    return proposal.cells.map(({ i, j }) => squareFromBounds(cellBounds(i, j, proposal.gridParams), { i, j }));
+  }
 
-  return squares;
+  const metadata = proposal.metadata || [];
+  return (proposal.rectangles || []).map((rectangle, index) =>
+    squareFromBounds(rectangle, metadata[index]?.gridCoords)
+  );
 }
 
 
 /**
  * Main function: Calculate optimal route through proposed squares
+ * Works on plain data only, so it runs without a map (tests, workers, CLI).
+ * The visit order minimizes road distances (see distance-matrix.js), not straight lines.
  *
- * @param {L.LayerGroup} proposedLayer - Layer with proposed squares
+ * @param {Object} proposal - {rectangles, metadata} from the optimizer or {cells: [{i, j}], gridParams}
  * @param {Object} startPoint - Starting point {lat, lon}
  * @param {string} bikeType - Bike profile (trekking, mtb, fastbike)
  * @param {boolean} roundtrip - Whether to return to start
- * @param {string} apiUrl - BRouter API URL
- * @param {Array} proposedMetadata - Optional metadata with grid coordinates
+ * @param {Object} backend - Routing backend {id, url, urls} (see routing-backends.js); url defaults to the backend's,
+ *                           urls holds the instance URLs of all backends (the offline fallback uses urls.offline)
  * @param {Function} onProgress - Optional callback for progress updates
+ * @param {number} waypointMargin - Fraction of each square kept free along its borders when placing waypoints
  * @returns {Promise<Object>} Route data
  */
-export async function calculateRoute(proposedLayer, startPoint, bikeType, roundtrip, apiUrl = 'https://brouter.de/brouter', proposedMetadata = [], onProgress = null) {
-  const squares = extractProposedSquares(proposedLayer, proposedMetadata);
+export async function calculateRoute(proposal, startPoint, bikeType, roundtrip, backend = {}, onProgress = null, waypointMargin = 0) {
+  const router = getRoutingBackend(backend.id || DEFAULT_ROUTING_BACKEND);
+  const routerUrl = backend.url || router.defaultUrl;
+  const squares = toRouteSquares(proposal);
 
   if (squares.length === 0) {
     throw new Error('Keine vorgeschlagenen Quadrate zum Routen vorhanden');
@@ -114,6 +124,11 @@ export async function calculateRoute(proposedLayer, startPoint, bikeType, roundt
 
   let finalWaypoints;
   let roadFetchFailed = false;
+  // Fetched roads, reused by the offline router
+  let roads = [];
+  // Road distances for the visit order (matrix service of the backend or road graph)
+  const matrixOptions = { backend: router, backendUrl: routerUrl, profile: router.profiles(bikeType)[0] };
+  let network = createDistanceMatrix(matrixOptions);
 
   try {
     const squareGroups = groupSquaresByDirection(squares);
@@ -171,7 +186,7 @@ export async function calculateRoute(proposedLayer, startPoint, bikeType, roundt
         }
       }
     }
-    const roads = Array.from(roadMap.values());
+    roads = Array.from(roadMap.values());
 
     const successCount = results.filter(r => r.success).length;
 
@@ -183,13 +198,16 @@ export async function calculateRoute(proposedLayer, startPoint, bikeType, roundt
         onProgress('Berechne optimale Besuchsreihenfolge...');
       }
 
+      network = createDistanceMatrix({ ...matrixOptions, graph: buildRoadGraph(roads, bikeType) });
+
       // Optimize waypoints WITHOUT sequence
-      const roughOptimization = optimizeWaypoints(squares, roads);
+      const roughOptimization = optimizeWaypoints(squares, roads, waypointMargin);
       const roughWaypoints = roughOptimization.waypoints;
 
       // Solve TSP with these rough waypoints to get initial visit order
       const roughWaypointCoords = roughWaypoints.map(wp => ({ lat: wp.lat, lon: wp.lon }));
-      const tspResult = solveTSP(roughWaypointCoords, startPoint, roundtrip);
+      await network.prefetch([startPoint, ...roughWaypointCoords]);
+      const tspResult = solveTSP(roughWaypointCoords, startPoint, roundtrip, true, network.distance);
 
       // PHASE 2: Optimize waypoints for this specific order
 
@@ -215,27 +233,29 @@ export async function calculateRoute(proposedLayer, startPoint, bikeType, roundt
         return matchingSquare || { ...waypoint, bounds: null };
       });
 
-      const fineOptimization = optimizeWaypointsWithSequence(orderedSquares, roads, startPoint, roundtrip, squares);
+      const fineOptimization = optimizeWaypointsWithSequence(orderedSquares, roads, startPoint, roundtrip, waypointMargin);
       finalWaypoints = fineOptimization.waypoints;
 
 
       // Phase 3: Refine candidates and re-run 2-opt
 
       let currentRoute = [startPoint, ...finalWaypoints, ...(roundtrip ? [startPoint] : [])];
-      let lastDistance = calculateRouteDistance(currentRoute);
+      // refineCandidates tries the alternatives, they need distances from the same source
+      await network.prefetch([...currentRoute, ...currentRoute.flatMap(wp => wp.alternatives || [])]);
+      let lastDistance = calculateRouteDistance(currentRoute, network.distance);
 
       for (let round = 0; round < 5; round++) {
         // Step 1: Try swapping candidates (uses total route distance)
-        const refined = refineCandidates(currentRoute);
+        const refined = refineCandidates(currentRoute, 10, network.distance);
 
         if (refined.swaps === 0 && round > 0) {
           break;
         }
 
         // Step 2: Re-run 2-opt to check if order should change
-        currentRoute = twoOptOptimize(refined.route);
+        currentRoute = twoOptOptimize(refined.route, 100, network.distance);
 
-        const newDistance = calculateRouteDistance(currentRoute);
+        const newDistance = calculateRouteDistance(currentRoute, network.distance);
         if (newDistance >= lastDistance - 0.01) {
           break;
         }
@@ -254,7 +274,8 @@ export async function calculateRoute(proposedLayer, startPoint, bikeType, roundt
 
   if (roadFetchFailed || !finalWaypoints) {
     const centerWaypoints = squares.map(s => ({ lat: s.lat, lon: s.lon }));
-    const tspResult = solveTSP(centerWaypoints, startPoint, roundtrip);
+    await network.prefetch([startPoint, ...centerWaypoints]);
+    const tspResult = solveTSP(centerWaypoints, startPoint, roundtrip, true, network.distance);
 
     finalWaypoints = tspResult.route.filter((wp, idx) => {
       if (idx === 0) return false;
@@ -275,31 +296,30 @@ export async function calculateRoute(proposedLayer, startPoint, bikeType, roundt
   }
   
 /**
- * Tries multiple BRouter profiles with automatic fallback
+ * Tries multiple profiles of the routing backend with automatic fallback
  *
  * @param {Array} profiles - Array of profile names to try
  * @param {Array} waypoints - Array of waypoints
- * @param {string} apiUrl - BRouter API URL
- * @returns {Promise<Object>} {success, geojson, profile, attemptNumber, error}
+ * @returns {Promise<Object>} {success, routeData, profile, attemptNumber, error}
  */
-async function tryProfilesWithFallback(profiles, waypoints, apiUrl) {
+async function tryProfilesWithFallback(profiles, waypoints) {
   let lastError = null;
 
   for (let i = 0; i < profiles.length; i++) {
     const profile = profiles[i];
 
     try {
-      const geojson = await callBRouterAPI(waypoints, profile, apiUrl);
+      const routeData = await router.route(waypoints, profile, routerUrl, { roads });
       return {
         success: true,
-        geojson,
+        routeData,
         profile,
         attemptNumber: i + 1
       };
     } catch (error) {
       lastError = error;
 
-      if (!isCoverageError(error)) {
+      if (!shouldTryNextProfile(error)) {
         break;
       }
     }
@@ -309,14 +329,15 @@ async function tryProfilesWithFallback(profiles, waypoints, apiUrl) {
 }
 
 /**
- * Helper: Detect coverage errors from BRouter
+ * Helper: Detect errors another profile may not have (coverage, missing profile)
  *
  * @param {Error} error - Error object
- * @returns {boolean} True if error indicates data coverage issue
+ * @returns {boolean} True if error indicates data coverage issue or an unavailable profile
  */
-function isCoverageError(error) {
-  return error.message.includes('nicht verfügbaren Kartenbereichs') ||
-         error.message.includes('not mapped');
+function shouldTryNextProfile(error) {
+  return error.message.includes('verfügbaren Kartenbereichs') ||
+         error.message.includes('not mapped') ||
+         error.message.includes(PROFILE_UNAVAILABLE_MESSAGE);
 }
 
 
@@ -324,6 +345,11 @@ function isCoverageError(error) {
   const finalRoute = [startPoint, ...finalWaypoints, ...(roundtrip ? [startPoint] : [])];
   const finalDistance = calculateRouteDistance(finalRoute);
   const finalTspResult = { route: finalRoute, distance: finalDistance };
+  const networkDistance = calculateRouteDistance(finalRoute, network.distance);
+  const { sources } = network;
+  const networkSource = sources.backend > 0 ? `${router.title}-Matrix`
+                      : sources.graph > 0 ? 'Straßennetz'
+                      : 'Luftlinie geschätzt';
 
   const skippedSquareCoords = [];
   const routeWithRoads = [];
@@ -354,29 +380,47 @@ function isCoverageError(error) {
     throw new Error(`Keine geeigneten Straßen für Fahrrad-Typ '${bikeType}' gefunden. Versuche einen anderen Routing-Typ (z.B. Trekking statt Rennrad).`);
   }
 
-  // Define profile fallback order
-  const profileFallbacks = {
-    'trekking': ['fastbike', 'trekking-ignore-cr', 'trekking-noferries'],
-    'hiking-mountain': ['trekking', 'trekking-ignore-cr'],
-    'fastbike': ['fastbike', 'fastbike-lowtraffic']
-  };
-  const profilesToTry = [bikeType, ...(profileFallbacks[bikeType] || [])];
+  // Profile fallback order of the backend
+  const profilesToTry = router.profiles(bikeType);
 
 
   if (onProgress) {
-    onProgress('Berechne Fahrradroute mit BRouter...');
+    onProgress(`Berechne Fahrradroute mit ${router.title}...`);
   }
 
-  const result = await tryProfilesWithFallback(profilesToTry, routeWithRoads, apiUrl);
+  let result = await tryProfilesWithFallback(profilesToTry, routeWithRoads);
+  let routerUsed = router.title;
+  let routerFallback;
+
+  // Route on the road data instead of giving up when the routing server fails
+  if (!result.success && router.id !== FALLBACK_ROUTING_BACKEND) {
+    const fallback = getRoutingBackend(FALLBACK_ROUTING_BACKEND);
+    if (onProgress) {
+      onProgress(`${router.title} fehlgeschlagen, berechne Route mit ${fallback.title}...`);
+    }
+
+    try {
+      const fallbackUrl = backend.urls?.[fallback.id] || fallback.defaultUrl;
+      const routeData = await fallback.route(routeWithRoads, bikeType, fallbackUrl, { roads });
+      routerFallback = `${router.title}: ${result.error.message}`;
+      routerUsed = fallback.title;
+      result = { success: true, routeData, profile: bikeType };
+    } catch (error) {
+      result.error = new Error(`${result.error.message} (${fallback.title}: ${error.message})`);
+    }
+  }
 
   if (result.success) {
-    const routeData = parseBRouterResponse(result.geojson);
     return {
-      ...routeData,
+      ...result.routeData,
       waypoints: routeWithRoads,
       allSquares: finalTspResult.route,
       straightLineDistance: finalTspResult.distance,
+      networkDistance,
+      networkSource,
       profileUsed: result.profile,
+      routerUsed,
+      routerFallback,
       roadAware: !roadFetchFailed,
       simplified: false,
       minimal: false,
@@ -384,7 +428,7 @@ function isCoverageError(error) {
     };
   }
 
-  throw new Error(`BRouter routing failed: ${result.error.message}`);
+  throw new Error(`${router.title} routing failed: ${result.error.message}`);
 }
 
 /**
@@ -0,0 +1,470 @@
+import { CONFIG } from './config.js';
+import { callBRouterAPI, parseBRouterResponse } from './brouter-api.js';
+import { fetchRoadsFromInstance, OVERPASS_INSTANCES } from './road-fetcher.js';
+import { buildRoadGraph, routeOnGraph, snapToGraph } from './offline-router.js';
+
+/**
+ * Routing backends (BRouter, OSRM, GraphHopper, Valhalla)
+ *
+ * Each backend sends its own request and maps its response onto the GeoJSON
+ * of BRouter, so every route ends up in the shape of parseBRouterResponse:
+ * {coordinates, distance, elevationGain, time, rawGeoJSON}.
+ *
+ * A backend is {id, title, defaultUrl, profiles(bikeType), route(waypoints, profile, url, context)}
+ * where profiles lists the backend profiles to try for a bike type, best first,
+ * and context carries data calculateRoute already has ({roads} from Overpass).
+ * Backends with a matrix service also have matrix(points, profile, url), resolving
+ * to road distances in km between all points (null where unreachable).
+ * API keys (e.g. for graphhopper.com) can be given as query parameter of the URL.
+ * The offline backend needs no routing server; its URL is the Overpass instance.
+ */
+
+const STORAGE_KEY_ROUTING = 'squadrats_routing_backend';
+
+export const DEFAULT_ROUTING_BACKEND = 'brouter';
+// Backend used when the selected one fails
+export const FALLBACK_ROUTING_BACKEND = 'offline';
+
+// Messages that make the router try the next profile (see shouldTryNextProfile in router.js)
+export const OUT_OF_COVERAGE_MESSAGE = 'Ein oder mehrere Wegpunkte liegen außerhalb des verfügbaren Kartenbereichs';
+export const PROFILE_UNAVAILABLE_MESSAGE = 'ist auf dem Routing-Server nicht verfügbar';
+
+/**
+ * URL below a base URL, keeping query parameters of the base (API keys)
+ * @param {string} baseUrl - Instance URL, e.g. "https://example.org/api?key=abc"
+ * @param {string} path - Path appended to the base path
+ * @param {Object} params - Query parameters; array values are repeated
+ * @returns {string}
+ */
+function buildUrl(baseUrl, path, params = {}) {
+  const url = new URL(baseUrl);
+  url.pathname = url.pathname.replace(/\/$/, '') + path;
+  for (const [name, value] of Object.entries(params)) {
+    for (const item of Array.isArray(value) ? value : [value]) {
+      url.searchParams.append(name, item);
+    }
+  }
+  return url.toString();
+}
+
+/**
+ * Fetch JSON and turn HTTP errors into Errors with the message of the server
+ * @param {string} name - Backend name for error messages
+ * @param {string} url - Request URL
+ * @param {Object} options - fetch options
+ * @param {Function} readError - Extracts the server message from an error body
+ * @returns {Promise<Object>} Response JSON
+ */
+async function fetchJSON(name, url, options, readError) {
+  const response = await fetch(url, options);
+  const text = await response.text();
+
+  let data = null;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    // Error pages are not always JSON
+  }
+
+  if (!response.ok) {
+    const detail = (data && readError(data)) || text;
+    throw new Error(`${name} API error: ${response.status} ${response.statusText}${detail ? ` - ${detail}` : ''}`);
+  }
+  if (!data) {
+    throw new Error(`${name} returned no JSON`);
+  }
+  return data;
+}
+
+/**
+ * Route as BRouter GeoJSON
+ * @param {Array} coordinates - [lon, lat] or [lon, lat, elevation] positions
+ * @param {number} distance - Length in meters
+ * @param {number} time - Duration in seconds
+ * @returns {Object} FeatureCollection as parseBRouterResponse expects it
+ */
+function toBRouterGeoJSON(coordinates, distance, time) {
+  return {
+    type: 'FeatureCollection',
+    features: [{
+      type: 'Feature',
+      geometry: { type: 'LineString', coordinates },
+      properties: {
+        'track-length': distance,
+        'total-time': time
+      }
+    }]
+  };
+}
+
+// ===== OSRM =====
+
+/**
+ * Route with an OSRM instance (one instance serves one profile, e.g. routed-bike)
+ * OSRM returns no elevation, so the elevation gain is 0.
+ * @param {Array} waypoints - Array of {lat, lon}
+ * @param {string} profile - Profile path segment (ignored by most instances)
+ * @param {string} apiUrl - Instance URL
+ * @returns {Promise<Object>} BRouter GeoJSON
+ */
+export async function callOSRMAPI(waypoints, profile, apiUrl) {
+  const coordinates = waypoints.map(wp => `${wp.lon},${wp.lat}`).join(';');
+  const url = buildUrl(apiUrl, `/route/v1/${profile}/${coordinates}`, {
+    overview: 'full',
+    geometries: 'geojson',
+    steps: 'false'
+  });
+
+  let data;
+  try {
+    data = await fetchJSON('OSRM', url, {}, body => [body.code, body.message].filter(Boolean).join(': '));
+  } catch (error) {
+    if (error.message.includes('NoSegment')) {
+      throw new Error(`${OUT_OF_COVERAGE_MESSAGE} (${error.message})`);
+    }
+    throw error;
+  }
+
+  if (data.code !== 'Ok' || !data.routes?.length) {
+    throw new Error(`OSRM returned no route${data.message ? ` - ${data.message}` : ''}`);
+  }
+
+  const route = data.routes[0];
+  return toBRouterGeoJSON(route.geometry.coordinates, route.distance, route.duration);
+}
+
+/**
+ * Road distances between all points from an OSRM instance
+ * @param {Array} points - Array of {lat, lon}
+ * @param {string} profile - Profile path segment
+ * @param {string} apiUrl - Instance URL
+ * @returns {Promise<Array>} matrix[from][to] in km, null where unreachable
+ */
+export async function callOSRMTable(points, profile, apiUrl) {
+  const coordinates = points.map(p => `${p.lon},${p.lat}`).join(';');
+  const url = buildUrl(apiUrl, `/table/v1/${profile}/${coordinates}`, { annotations: 'distance' });
+
+  const data = await fetchJSON('OSRM', url, {}, body => [body.code, body.message].filter(Boolean).join(': '));
+  if (data.code !== 'Ok' || !data.distances) {
+    throw new Error(`OSRM returned no distance table${data.message ? ` - ${data.message}` : ''}`);
+  }
+  return data.distances.map(row => row.map(meters => meters === null ? null : meters / 1000));
+}
+
+// ===== GraphHopper =====
+
+/**
+ * Route with a GraphHopper instance
+ * @param {Array} waypoints - Array of {lat, lon}
+ * @param {string} profile - GraphHopper profile (bike, mtb, racingbike)
+ * @param {string} apiUrl - Instance URL, e.g. "https://graphhopper.com/api/1?key=..."
+ * @returns {Promise<Object>} BRouter GeoJSON
+ */
+export async function callGraphHopperAPI(waypoints, profile, apiUrl) {
+  const url = buildUrl(apiUrl, '/route', {
+    point: waypoints.map(wp => `${wp.lat},${wp.lon}`),
+    profile,
+    points_encoded: 'false',
+    elevation: 'true',
+    instructions: 'false'
+  });
+
+  let data;
+  try {
+    data = await fetchJSON('GraphHopper', url, {}, body => body.message);
+  } catch (error) {
+    if (/out of bounds|cannot find point/i.test(error.message)) {
+      throw new Error(`${OUT_OF_COVERAGE_MESSAGE} (${error.message})`);
+    }
+    if (/profile/i.test(error.message)) {
+      throw new Error(`Profil '${profile}' ${PROFILE_UNAVAILABLE_MESSAGE} (${error.message})`);
+    }
+    throw error;
+  }
+
+  if (!data.paths?.length) {
+    throw new Error('GraphHopper returned no route');
+  }
+
+  const path = data.paths[0];
+  return toBRouterGeoJSON(path.points.coordinates, path.distance, path.time / 1000);
+}
+
+// ===== Valhalla =====
+
+/**
+ * Decode an encoded polyline
+ * @param {string} encoded - Polyline string
+ * @param {number} precision - Decimal places (Valhalla uses 6)
+ * @returns {Array} [lon, lat] positions
+ */
+export function decodePolyline(encoded, precision = 6) {
+  const factor = Math.pow(10, precision);
+  const positions = [];
+  let index = 0;
+  let lat = 0;
+  let lon = 0;
+
+  const readValue = () => {
+    let result = 0;
+    let shift = 0;
+    let byte;
+    do {
+      byte = encoded.charCodeAt(index++) - 63;
+      result |= (byte & 0x1f) << shift;
+      shift += 5;
+    } while (byte >= 0x20);
+    return result & 1 ? ~(result >> 1) : result >> 1;
+  };
+
+  while (index < encoded.length) {
+    lat += readValue();
+    lon += readValue();
+    positions.push([lon / factor, lat / factor]);
+  }
+
+  return positions;
+}
+
+/**
+ * Route with a Valhalla instance
+ * Valhalla returns no elevation along the route, so the elevation gain is 0.
+ * @param {Array} waypoints - Array of {lat, lon}
+ * @param {string} profile - Bicycle type (Road, Hybrid, Cross, Mountain)
+ * @param {string} apiUrl - Instance URL
+ * @returns {Promise<Object>} BRouter GeoJSON
+ */
+export async function callValhallaAPI(waypoints, profile, apiUrl) {
+  const request = {
+    locations: waypoints.map(wp => ({ lat: wp.lat, lon: wp.lon, type: 'break' })),
+    costing: 'bicycle',
+    costing_options: { bicycle: { bicycle_type: profile } },
+    directions_options: { units: 'kilometers' },
+    directions_type: 'none'
+  };
+
+  let data;
+  try {
+    data = await fetchJSON('Valhalla', buildUrl(apiUrl, '/route'), {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(request)
+    }, body => body.error);
+  } catch (error) {
+    if (/no suitable edges/i.test(error.message)) {
+      throw new Error(`${OUT_OF_COVERAGE_MESSAGE} (${error.message})`);
+    }
+    throw error;
+  }
+
+  const trip = data.trip;
+  if (!trip?.legs?.length) {
+    throw new Error('Valhalla returned no route');
+  }
+
+  // Legs share their end and start point
+  const coordinates = trip.legs.flatMap((leg, index) => decodePolyline(leg.shape).slice(index > 0 ? 1 : 0));
+  return toBRouterGeoJSON(coordinates, trip.summary.length * 1000, trip.summary.time);
+}
+
+/**
+ * Road distances between all points from a Valhalla instance
+ * @param {Array} points - Array of {lat, lon}
+ * @param {string} profile - Bicycle type (Road, Hybrid, Cross, Mountain)
+ * @param {string} apiUrl - Instance URL
+ * @returns {Promise<Array>} matrix[from][to] in km, null where unreachable
+ */
+export async function callValhallaMatrix(points, profile, apiUrl) {
+  const locations = points.map(p => ({ lat: p.lat, lon: p.lon }));
+  const request = {
+    sources: locations,
+    targets: locations,
+    costing: 'bicycle',
+    costing_options: { bicycle: { bicycle_type: profile } },
+    units: 'kilometers'
+  };
+
+  const data = await fetchJSON('Valhalla', buildUrl(apiUrl, '/sources_to_targets'), {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(request)
+  }, body => body.error);
+
+  if (!data.sources_to_targets) {
+    throw new Error('Valhalla returned no distance matrix');
+  }
+  return data.sources_to_targets.map(row => row.map(cell => cell.distance ?? null));
+}
+
+// ===== OFFLINE =====
+
+/**
+ * Whether all waypoints lie on one connected part of the road graph
+ * @param {Object} graph - Road graph
+ * @param {Array} waypoints - Array of {lat, lon}
+ * @returns {boolean}
+ */
+function coversWaypoints(graph, waypoints) {
+  const components = new Set();
+  for (const wp of waypoints) {
+    const node = snapToGraph(graph, wp);
+    if (node === -1) return false;
+    components.add(graph.component[node]);
+  }
+  return components.size === 1;
+}
+
+/**
+ * Route on Overpass road data without a routing server
+ * Uses the roads calculateRoute already fetched for the squares; only when they
+ * do not connect all waypoints are the roads around the waypoints downloaded from
+ * the Overpass instance and merged in.
+ * Legs without road connection are straight lines, counted in straightLegs.
+ * @param {Array} waypoints - Array of {lat, lon}
+ * @param {string} profile - Bike type (trekking, hiking-mountain, fastbike)
+ * @param {string} apiUrl - Overpass instance URL
+ * @param {Object} context - {roads} already fetched road features
+ * @returns {Promise<Object>} Parsed route with straightLegs
+ */
+export async function routeOffline(waypoints, profile, apiUrl, { roads = [] } = {}) {
+  let graph = roads.length > 0 ? buildRoadGraph(roads, profile) : null;
+
+  if (!graph || !coversWaypoints(graph, waypoints)) {
+    const bounds = {
+      south: Math.min(...waypoints.map(wp => wp.lat)),
+      north: Math.max(...waypoints.map(wp => wp.lat)),
+      west: Math.min(...waypoints.map(wp => wp.lon)),
+      east: Math.max(...waypoints.map(wp => wp.lon))
+    };
+    const fetched = await fetchRoadsFromInstance(bounds, profile, apiUrl, 1);
+
+    const roadMap = new Map();
+    for (const road of [...roads, ...fetched.roads]) {
+      roadMap.set(road.properties?.id ?? roadMap.size, road);
+    }
+    if (roadMap.size === 0) {
+      throw new Error(`Keine Straßendaten für die Offline-Route${fetched.error ? ` (${fetched.error})` : ''}`);
+    }
+    if (fetched.roads.length > 0 || !graph) {
+      graph = buildRoadGraph(Array.from(roadMap.values()), profile);
+    }
+  }
+
+  const { coordinates, distance, straightLegs } = routeOnGraph(graph, waypoints);
+  if (straightLegs === waypoints.length - 1) {
+    throw new Error('Die Wegpunkte sind im Straßennetz nicht verbunden');
+  }
+
+  const speed = CONFIG.AVERAGE_SPEED_KMH[profile] || CONFIG.AVERAGE_SPEED_KMH.trekking;
+  const geojson = toBRouterGeoJSON(coordinates, distance * 1000, distance / speed * 3600);
+  return { ...parseBRouterResponse(geojson), straightLegs };
+}
+
+// ===== REGISTRY =====
+
+// BRouter profiles tried after the one of the bike type
+const BROUTER_PROFILE_FALLBACKS = {
+  'trekking': ['fastbike', 'trekking-ignore-cr', 'trekking-noferries'],
+  'hiking-mountain': ['trekking', 'trekking-ignore-cr'],
+  'fastbike': ['fastbike', 'fastbike-lowtraffic']
+};
+
+const GRAPHHOPPER_PROFILES = {
+  'trekking': ['bike'],
+  'hiking-mountain': ['mtb', 'bike'],
+  'fastbike': ['racingbike', 'bike']
+};
+
+const VALHALLA_BICYCLE_TYPES = {
+  'trekking': 'Hybrid',
+  'hiking-mountain': 'Mountain',
+  'fastbike': 'Road'
+};
+
+export const ROUTING_BACKENDS = {
+  brouter: {
+    id: 'brouter',
+    title: 'BRouter',
+    defaultUrl: CONFIG.ROUTING_URLS.brouter,
+    profiles: (bikeType) => [bikeType, ...(BROUTER_PROFILE_FALLBACKS[bikeType] || [])],
+    route: async (waypoints, profile, url) => parseBRouterResponse(await callBRouterAPI(waypoints, profile, url))
+  },
+  osrm: {
+    id: 'osrm',
+    title: 'OSRM',
+    defaultUrl: CONFIG.ROUTING_URLS.osrm,
+    profiles: () => ['bike'],
+    route: async (waypoints, profile, url) => parseBRouterResponse(await callOSRMAPI(waypoints, profile, url)),
+    matrix: callOSRMTable
+  },
+  graphhopper: {
+    id: 'graphhopper',
+    title: 'GraphHopper',
+    defaultUrl: CONFIG.ROUTING_URLS.graphhopper,
+    profiles: (bikeType) => GRAPHHOPPER_PROFILES[bikeType] || ['bike'],
+    route: async (waypoints, profile, url) => parseBRouterResponse(await callGraphHopperAPI(waypoints, profile, url))
+  },
+  valhalla: {
+    id: 'valhalla',
+    title: 'Valhalla',
+    defaultUrl: CONFIG.ROUTING_URLS.valhalla,
+    profiles: (bikeType) => [VALHALLA_BICYCLE_TYPES[bikeType] || 'Hybrid'],
+    route: async (waypoints, profile, url) => parseBRouterResponse(await callValhallaAPI(waypoints, profile, url)),
+    matrix: callValhallaMatrix
+  },
+  offline: {
+    id: 'offline',
+    title: 'Offline-Router',
+    defaultUrl: OVERPASS_INSTANCES[0],
+    profiles: (bikeType) => [bikeType],
+    route: routeOffline
+  }
+};
+
+/**
+ * Look up a routing backend
+ * @param {string} id - Backend id (see ROUTING_BACKENDS)
+ * @returns {Object} Backend
+ */
+export function getRoutingBackend(id) {
+  const backend = ROUTING_BACKENDS[id];
+  if (!backend) {
+    throw new Error(`Unbekannter Routing-Dienst "${id}" (verfügbar: ${Object.keys(ROUTING_BACKENDS).join(', ')})`);
+  }
+  return backend;
+}
+
+// ===== PERSISTENCE =====
+
+/**
+ * Load the selected backend and the instance URLs from LocalStorage
+ * @returns {Object} {backend, backendUrls: {id: url}} with the default URL for backends never changed
+ */
+export function loadRoutingSettings() {
+  const defaults = Object.fromEntries(Object.values(ROUTING_BACKENDS).map(b => [b.id, b.defaultUrl]));
+
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY_ROUTING) || '{}');
+    const backendUrls = { ...defaults };
+    for (const [id, url] of Object.entries(stored.backendUrls || {})) {
+      if (ROUTING_BACKENDS[id] && typeof url === 'string' && url) backendUrls[id] = url;
+    }
+    return {
+      backend: ROUTING_BACKENDS[stored.backend] ? stored.backend : DEFAULT_ROUTING_BACKEND,
+      backendUrls
+    };
+  } catch (error) {
+    return { backend: DEFAULT_ROUTING_BACKEND, backendUrls: defaults };
+  }
+}
+
+/**
+ * Save the selected backend and the instance URLs to LocalStorage
+ * @param {Object} settings - {backend, backendUrls}
+ */
+export function saveRoutingSettings({ backend, backendUrls }) {
+  try {
+    localStorage.setItem(STORAGE_KEY_ROUTING, JSON.stringify({ backend, backendUrls }));
+  } catch (error) {
+  }
+}
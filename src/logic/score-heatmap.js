@@ -0,0 +1,96 @@
+/**
+ * Score heatmap and per-cell explanation of the optimizer ranking
+ *
+ * Works on the scored candidates of scoreCandidates (best first), so the rank
+ * of a candidate is its position in that list.
+ */
+
+/**
+ * Index scored candidates by key
+ * @param {Array} scored - Result of scoreCandidates, best first
+ * @returns {Map} Map of "i,j" → {candidate, rank} with rank starting at 1
+ */
+export function rankCandidates(scored) {
+  const ranking = new Map();
+  scored.forEach((candidate, index) => {
+    ranking.set(candidate.key, { candidate, rank: index + 1 });
+  });
+  return ranking;
+}
+
+/**
+ * Whether a candidate was pushed down by the direction filter
+ * @param {Object} candidate - Scored candidate
+ * @returns {boolean}
+ */
+export function isDirectionFiltered(candidate) {
+  return Boolean(candidate.scoreBreakdown.directionPenalty);
+}
+
+/**
+ * Score range of the candidates in a selected direction
+ * @param {Array} scored - Scored candidates
+ * @returns {Object|null} {min, max} or null if no candidate is in a selected direction
+ */
+export function scoreRange(scored) {
+  let min = Infinity;
+  let max = -Infinity;
+  for (const candidate of scored) {
+    if (isDirectionFiltered(candidate)) continue;
+    if (candidate.score < min) min = candidate.score;
+    if (candidate.score > max) max = candidate.score;
+  }
+  return min === Infinity ? null : { min, max };
+}
+
+/**
+ * Heatmap color for a score: blue (lowest) over green and yellow to red (highest)
+ * @param {number} score - Candidate score
+ * @param {Object} range - {min, max} from scoreRange
+ * @returns {string} CSS color
+ */
+export function heatmapColor(score, range) {
+  const t = range.max > range.min ? (score - range.min) / (range.max - range.min) : 1;
+  const hue = Math.round(240 * (1 - Math.min(1, Math.max(0, t))));
+  return `hsl(${hue}, 90%, 50%)`;
+}
+
+/**
+ * Explain why a cell was or was not chosen
+ * @param {number} i - Row index
+ * @param {number} j - Column index
+ * @param {Map} ranking - Result of rankCandidates
+ * @param {Object} context
+ * @param {BitGrid|Set} context.visitedSet - Visited squares
+ * @param {Set|null} context.excludedSet - Set of "i,j" squares in exclusion zones
+ * @param {Set|null} context.removedSet - Set of "i,j" squares removed from the proposal by hand
+ * @param {Array} context.proposedMetadata - Metadata of the current proposal
+ * @returns {Object} {i, j, key, status, rank, total, candidate, selectionOrder} where status is
+ *                   'candidate', 'visited', 'removed', 'excluded' or 'outside' (beyond the search radius)
+ */
+export function explainCell(i, j, ranking, { visitedSet, excludedSet = null, removedSet = null, proposedMetadata = [] }) {
+  const key = `${i},${j}`;
+  const entry = ranking.get(key);
+  const proposed = proposedMetadata.find(meta => meta.gridCoords.i === i && meta.gridCoords.j === j);
+
+  let status = 'candidate';
+  if (removedSet && removedSet.has(key) && !visitedSet.has(key)) {
+    // Left out of the next optimization, an older rank no longer applies
+    status = 'removed';
+  } else if (!entry) {
+    if (visitedSet.has(key)) status = 'visited';
+    else if (excludedSet && excludedSet.has(key)) status = 'excluded';
+    else status = 'outside';
+  }
+
+  return {
+    i,
+    j,
+    key,
+    status,
+    rank: entry ? entry.rank : null,
+    total: ranking.size,
+    candidate: entry ? entry.candidate : null,
+    selectionOrder: proposed ? proposed.selectionOrder : null
+  };
+}
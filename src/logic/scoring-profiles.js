@@ -0,0 +1,158 @@
+const STORAGE_KEY_PROFILES = 'squadrats_scoring_profiles';
+
+/**
+ * Scoring profiles for the optimizer
+ *
+ * A profile holds every weight used by scoreCandidates. The built-in modes
+ * (balanced, edge, holes) are presets; user profiles are stored by name in
+ * LocalStorage and can be exported or imported as JSON.
+ */
+
+/**
+ * Default weights (the "balanced" preset)
+ * layerScores[d] is the score for layer distance d; the last entry applies to all further layers.
+ * holeMultipliers are points per hole square for squares in layers 0-2, 3-4 and 5+.
+ */
+export const DEFAULT_WEIGHTS = {
+  base: 100,
+  layerScores: [10000, 5000, 2000, 500, -1000, -2000],
+  edgeCompletionFactor: 30,
+  holeMultipliers: { near: 200, mid: 150, far: 100 },
+  holeCompletionBonus: 1500,
+  adjacencyBonus: 25,
+  multipliers: { edge: 1, hole: 1, layerPenalty: 1.0 }
+};
+
+export const PRESET_PROFILES = {
+  balanced: {
+    title: 'Ausgewogen',
+    weights: DEFAULT_WEIGHTS
+  },
+  edge: {
+    title: 'Kantenabschluss',
+    weights: { ...DEFAULT_WEIGHTS, multipliers: { edge: 3, hole: 0.3, layerPenalty: 1.0 } }
+  },
+  holes: {
+    title: 'Löcher füllen',
+    weights: { ...DEFAULT_WEIGHTS, multipliers: { edge: 0.3, hole: 3, layerPenalty: 0.5 } }
+  }
+};
+
+/**
+ * Read a finite number or fall back to a default
+ */
+function toNumber(value, fallback) {
+  const number = Number(value);
+  return Number.isFinite(number) ? number : fallback;
+}
+
+/**
+ * Complete and sanitize (possibly partial) weights with the defaults
+ * @param {Object} weights - Weights from user input or JSON
+ * @returns {Object} Full weights object
+ */
+export function normalizeWeights(weights = {}) {
+  const d = DEFAULT_WEIGHTS;
+  const layerScores = Array.isArray(weights.layerScores) && weights.layerScores.length > 0
+    ? weights.layerScores.map((v, k) => toNumber(v, d.layerScores[Math.min(k, d.layerScores.length - 1)]))
+    : [...d.layerScores];
+
+  return {
+    base: toNumber(weights.base, d.base),
+    layerScores,
+    edgeCompletionFactor: toNumber(weights.edgeCompletionFactor, d.edgeCompletionFactor),
+    holeMultipliers: {
+      near: toNumber(weights.holeMultipliers?.near, d.holeMultipliers.near),
+      mid: toNumber(weights.holeMultipliers?.mid, d.holeMultipliers.mid),
+      far: toNumber(weights.holeMultipliers?.far, d.holeMultipliers.far)
+    },
+    holeCompletionBonus: toNumber(weights.holeCompletionBonus, d.holeCompletionBonus),
+    adjacencyBonus: toNumber(weights.adjacencyBonus, d.adjacencyBonus),
+    multipliers: {
+      edge: toNumber(weights.multipliers?.edge, d.multipliers.edge),
+      hole: toNumber(weights.multipliers?.hole, d.multipliers.hole),
+      layerPenalty: toNumber(weights.multipliers?.layerPenalty, d.multipliers.layerPenalty)
+    }
+  };
+}
+
+/**
+ * Weights of a preset or user profile
+ * @param {string|Object} profile - Preset id, user profile name or a weights object
+ * @param {Object} userProfiles - User profiles {name: weights}
+ * @returns {Object} Full weights object (unknown names fall back to balanced)
+ */
+export function resolveScoringWeights(profile, userProfiles = {}) {
+  if (profile && typeof profile === 'object') return normalizeWeights(profile);
+  if (PRESET_PROFILES[profile]) return normalizeWeights(PRESET_PROFILES[profile].weights);
+  if (userProfiles[profile]) return normalizeWeights(userProfiles[profile]);
+  return normalizeWeights(DEFAULT_WEIGHTS);
+}
+
+// ===== PERSISTENCE =====
+
+/**
+ * Load user profiles from LocalStorage
+ * @returns {Object} {name: weights}
+ */
+export function loadUserProfiles() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY_PROFILES) || '{}');
+    const profiles = {};
+    for (const [name, weights] of Object.entries(stored)) {
+      profiles[name] = normalizeWeights(weights);
+    }
+    return profiles;
+  } catch (error) {
+    return {};
+  }
+}
+
+/**
+ * Save user profiles to LocalStorage
+ * @param {Object} profiles - {name: weights}
+ */
+export function saveUserProfiles(profiles) {
+  try {
+    localStorage.setItem(STORAGE_KEY_PROFILES, JSON.stringify(profiles));
+  } catch (error) {
+  }
+}
+
+// ===== IMPORT / EXPORT =====
+
+/**
+ * Serialize profiles for export
+ * @param {Object} profiles - {name: weights}
+ * @returns {string} JSON content
+ */
+export function exportProfiles(profiles) {
+  return JSON.stringify({ type: 'squadrats-scoring-profiles', version: 1, profiles }, null, 2);
+}
+
+/**
+ * Parse exported profiles
+ * Accepts the export format as well as a plain {name: weights} object.
+ * @param {string} content - JSON content
+ * @returns {Object} {name: weights}
+ */
+export function importProfiles(content) {
+  let data;
+  try {
+    data = JSON.parse(content);
+  } catch (error) {
+    throw new Error('Ungültige Profil-Datei');
+  }
+
+  const source = data?.type === 'squadrats-scoring-profiles' ? data.profiles : data;
+  if (!source || typeof source !== 'object' || Array.isArray(source)) {
+    throw new Error('Ungültige Profil-Datei');
+  }
+
+  const profiles = {};
+  for (const [name, weights] of Object.entries(source)) {
+    if (PRESET_PROFILES[name]) continue;
+    profiles[name] = normalizeWeights(weights);
+  }
+  return profiles;
+}
@@ -0,0 +1,105 @@
+import { analyzeEdges } from './optimizer.js';
+import { rebaseVisitedSet } from './grid.js';
+import { findLargestSquare, findLargestCluster } from './visited-analysis.js';
+
+/**
+ * Comparison of dated squadrats exports (snapshots)
+ *
+ * Each snapshot has its own grid origin, so visited sets are moved into a
+ * common reference grid before they are compared.
+ */
+
+const DATE_PATTERN = /(\d{4})-(\d{2})-(\d{2})/;
+
+/**
+ * Extract the export date from a filename like "squadrats-2026-01-18.kml"
+ * @param {string} filename
+ * @returns {string|null} ISO date (YYYY-MM-DD) or null
+ */
+export function parseSnapshotDate(filename) {
+  const match = filename.match(DATE_PATTERN);
+  return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+}
+
+/**
+ * Sort snapshots chronologically (by date, undated ones last in load order)
+ * @param {Array} snapshots - Snapshots {name, date, ...}
+ * @returns {Array} Sorted copy
+ */
+export function sortSnapshots(snapshots) {
+  return snapshots
+    .map((snapshot, index) => ({ snapshot, index }))
+    .sort((a, b) => {
+      if (a.snapshot.date && b.snapshot.date) return a.snapshot.date.localeCompare(b.snapshot.date);
+      if (a.snapshot.date) return -1;
+      if (b.snapshot.date) return 1;
+      return a.index - b.index;
+    })
+    .map(entry => entry.snapshot);
+}
+
+/**
+ * Key figures of one snapshot level
+ * @param {Object} level - {gridParams, visitedSet}
+ * @returns {Object} {visitedCount, ubersquadratSize, clusterSize}
+ */
+export function summarizeSnapshot(level) {
+  const largest = findLargestSquare(level.visitedSet);
+  return {
+    visitedCount: level.visitedSet.size,
+    ubersquadratSize: largest ? largest.size : 0,
+    clusterSize: findLargestCluster(level.visitedSet).size
+  };
+}
+
+/**
+ * Compare two snapshot levels
+ * Per-edge completion is measured around the older Übersquadrat in both snapshots,
+ * so it shows the progress on the edges that were open at the time of the older export.
+ *
+ * @param {Object} older - Older level {gridParams, visitedSet}
+ * @param {Object} newer - Newer level {gridParams, visitedSet}
+ * @returns {Object} {gridParams, newlyVisited, lost, ubersquadrat, cluster, visited, edges}
+ *                   where newlyVisited/lost are "i,j" keys in the newer grid
+ */
+export function diffSnapshots(older, newer) {
+  const gridParams = newer.gridParams;
+  const olderVisited = rebaseVisitedSet(older.visitedSet, older.gridParams, gridParams);
+  const newerVisited = newer.visitedSet;
+
+  const newlyVisited = [...newerVisited].filter(key => !olderVisited.has(key));
+  const lost = [...olderVisited].filter(key => !newerVisited.has(key));
+
+  const olderSummary = summarizeSnapshot({ visitedSet: olderVisited });
+  const newerSummary = summarizeSnapshot(newer);
+
+  // Older Übersquadrat expressed in the newer grid
+  const di = gridParams.originY - older.gridParams.originY;
+  const dj = older.gridParams.originX - gridParams.originX;
+  const olderBase = {
+    minI: older.gridParams.baseSquare.minI + di,
+    maxI: older.gridParams.baseSquare.maxI + di,
+    minJ: older.gridParams.baseSquare.minJ + dj,
+    maxJ: older.gridParams.baseSquare.maxJ + dj
+  };
+
+  const edgesBefore = analyzeEdges(olderBase, olderVisited);
+  const edgesAfter = analyzeEdges(olderBase, newerVisited);
+  const edges = {};
+  for (const dir of ['N', 'S', 'E', 'W']) {
+    edges[dir] = {
+      from: edgesBefore[dir].completion,
+      to: edgesAfter[dir].completion
+    };
+  }
+
+  return {
+    gridParams,
+    newlyVisited,
+    lost,
+    visited: { from: olderSummary.visitedCount, to: newerSummary.visitedCount },
+    ubersquadrat: { from: olderSummary.ubersquadratSize, to: newerSummary.ubersquadratSize },
+    cluster: { from: olderSummary.clusterSize, to: newerSummary.clusterSize },
+    edges
+  };
+}
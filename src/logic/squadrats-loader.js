@@ -0,0 +1,222 @@
+import toGeoJSON from '@mapbox/togeojson';
+import { CONFIG } from './config.js';
+import { parseKmlFeatures } from './kml-processor.js';
+import { buildGridLevel, buildGridLevelFromTiles } from './grid.js';
+import { tileXToLon, tileYToLat } from './tile-math.js';
+
+/**
+ * Loaders for visited squadrats data
+ *
+ * Every loader returns {geojson, levels: {squadrat, squadratinho}} where each
+ * level is {gridParams, visitedSet, declared} or null. The geojson is only
+ * used for displaying the loaded data on the map.
+ */
+
+/**
+ * Build both grid levels from a GeoJSON FeatureCollection
+ * @param {Object} geojson - GeoJSON FeatureCollection
+ * @returns {Object} {geojson, levels}
+ */
+function loadFromGeoJson(geojson) {
+  const { allPolygons, candidates, squadratinhoPolygons, squadratinhoCandidates } = parseKmlFeatures(geojson);
+
+  const squadrat = buildGridLevel(allPolygons, candidates, CONFIG.SQUADRAT_ZOOM);
+  if (!squadrat) {
+    throw new Error('Keine besuchten Quadrate gefunden. Die Datei muss mindestens ein Polygon enthalten.');
+  }
+
+  const squadratinho = buildGridLevel(squadratinhoPolygons, squadratinhoCandidates, CONFIG.SQUADRATINHO_ZOOM);
+
+  return {
+    geojson,
+    levels: { squadrat, squadratinho }
+  };
+}
+
+/**
+ * Parse squadrats KML content into grid levels
+ * @param {string} kmlContent - KML XML content
+ * @returns {Object} {geojson, levels: {squadrat, squadratinho}} where each level is
+ *                   {gridParams, visitedSet, declared} or null
+ */
+export function loadSquadratsKml(kmlContent) {
+  const parser = new DOMParser();
+  const kmlDom = parser.parseFromString(kmlContent, 'text/xml');
+
+  // getElementsByTagName instead of querySelector also works with DOM implementations outside the browser
+  if (kmlDom.getElementsByTagName('parsererror').length > 0) {
+    throw new Error('Ungültige KML-Datei');
+  }
+
+  return loadFromGeoJson(toGeoJSON.kml(kmlDom));
+}
+
+/**
+ * Parse squadrats GeoJSON content into grid levels
+ * Features are classified like KML placemarks (by name, or by a `z`/`zoom` property).
+ * @param {string|Object} content - GeoJSON text or already parsed object
+ * @returns {Object} {geojson, levels}
+ */
+export function loadSquadratsGeoJson(content) {
+  let data = content;
+  if (typeof content === 'string') {
+    try {
+      data = JSON.parse(content);
+    } catch (e) {
+      throw new Error('Ungültige GeoJSON-Datei');
+    }
+  }
+
+  let geojson;
+  if (data?.type === 'FeatureCollection') {
+    geojson = data;
+  } else if (data?.type === 'Feature') {
+    geojson = { type: 'FeatureCollection', features: [data] };
+  } else if (data?.type && data?.coordinates) {
+    geojson = { type: 'FeatureCollection', features: [{ type: 'Feature', properties: {}, geometry: data }] };
+  } else {
+    throw new Error('Ungültige GeoJSON-Datei: FeatureCollection, Feature oder Geometrie erwartet');
+  }
+
+  return loadFromGeoJson(geojson);
+}
+
+// ===== TILE LISTS =====
+
+/**
+ * Parse a tile list into {z, x, y} entries
+ * Accepts one tile per line as "z/x/y", "z,x,y" or "z x y" (tile URLs work too,
+ * lines without three numbers such as headers are skipped), or a JSON array of
+ * [z, x, y] arrays or {z, x, y} objects.
+ * @param {string} content - Tile list content
+ * @returns {Array} Array of {z, x, y}
+ */
+export function parseTileList(content) {
+  const trimmed = content.trim();
+
+  if (trimmed.startsWith('[')) {
+    let entries;
+    try {
+      entries = JSON.parse(trimmed);
+    } catch (e) {
+      throw new Error('Ungültige Kachelliste');
+    }
+
+    return entries
+      .map(entry => Array.isArray(entry)
+        ? { z: Number(entry[0]), x: Number(entry[1]), y: Number(entry[2]) }
+        : { z: Number(entry?.z), x: Number(entry?.x), y: Number(entry?.y) })
+      .filter(t => Number.isInteger(t.z) && Number.isInteger(t.x) && Number.isInteger(t.y));
+  }
+
+  const tiles = [];
+  for (const line of trimmed.split(/\r?\n/)) {
+    if (line.trim().startsWith('#')) continue;
+
+    const match = line.match(/(\d+)\s*[/,;\s]\s*(\d+)\s*[/,;\s]\s*(\d+)/);
+    if (match) {
+      tiles.push({ z: Number(match[1]), x: Number(match[2]), y: Number(match[3]) });
+    }
+  }
+
+  return tiles;
+}
+
+/**
+ * Convert tiles of one zoom level into a MultiPolygon feature for display
+ * Horizontally adjacent tiles are merged into one rectangle.
+ * @param {Array} tiles - Tiles [{x, y}]
+ * @param {number} zoom - Tile zoom level
+ * @param {string} name - Feature name (used for styling)
+ * @returns {Object} GeoJSON feature
+ */
+function tilesToFeature(tiles, zoom, name) {
+  const rows = new Map();
+  for (const { x, y } of tiles) {
+    if (!rows.has(y)) rows.set(y, new Set());
+    rows.get(y).add(x);
+  }
+
+  const polygons = [];
+  for (const [y, xs] of rows) {
+    const cols = Array.from(xs).sort((a, b) => a - b);
+    const north = tileYToLat(y, zoom);
+    const south = tileYToLat(y + 1, zoom);
+
+    let runStart = cols[0];
+    for (let k = 1; k <= cols.length; k++) {
+      if (k < cols.length && cols[k] === cols[k - 1] + 1) continue;
+
+      const west = tileXToLon(runStart, zoom);
+      const east = tileXToLon(cols[k - 1] + 1, zoom);
+      polygons.push([[[west, south], [east, south], [east, north], [west, north], [west, south]]]);
+
+      runStart = cols[k];
+    }
+  }
+
+  return {
+    type: 'Feature',
+    properties: { name },
+    geometry: { type: 'MultiPolygon', coordinates: polygons }
+  };
+}
+
+/**
+ * Parse a z/x/y tile list into grid levels
+ * Zoom-14 tiles become squadrats, zoom-17 tiles squadratinhos; other zoom levels are ignored.
+ * The Übersquadrat is always computed from the tiles.
+ * @param {string} content - Tile list content
+ * @returns {Object} {geojson, levels}
+ */
+export function loadSquadratsTileList(content) {
+  const tiles = parseTileList(content);
+  const squadratTiles = tiles.filter(t => t.z === CONFIG.SQUADRAT_ZOOM);
+  const squadratinhoTiles = tiles.filter(t => t.z === CONFIG.SQUADRATINHO_ZOOM);
+
+  const squadrat = buildGridLevelFromTiles(squadratTiles, CONFIG.SQUADRAT_ZOOM);
+  if (!squadrat) {
+    throw new Error(`Keine Kacheln mit Zoom ${CONFIG.SQUADRAT_ZOOM} gefunden. Erwartet wird eine Liste im Format z/x/y.`);
+  }
+
+  const squadratinho = buildGridLevelFromTiles(squadratinhoTiles, CONFIG.SQUADRATINHO_ZOOM);
+
+  const features = [tilesToFeature(squadratTiles, CONFIG.SQUADRAT_ZOOM, 'squadrats')];
+  if (squadratinho) {
+    features.push(tilesToFeature(squadratinhoTiles, CONFIG.SQUADRATINHO_ZOOM, 'squadratinhos'));
+  }
+
+  return {
+    geojson: { type: 'FeatureCollection', features },
+    levels: { squadrat, squadratinho }
+  };
+}
+
+/**
+ * Load squadrats data in any supported format, detected by file extension and content
+ * @param {string} content - File content
+ * @param {string} filename - File name
+ * @returns {Object} {geojson, levels}
+ */
+export function loadSquadratsFile(content, filename = '') {
+  const extension = filename.toLowerCase().split('.').pop();
+
+  if (extension === 'kml') {
+    return loadSquadratsKml(content);
+  }
+  if (extension === 'geojson') {
+    return loadSquadratsGeoJson(content);
+  }
+  if (extension === 'json') {
+    return content.trim().startsWith('[') ? loadSquadratsTileList(content) : loadSquadratsGeoJson(content);
+  }
+  if (extension === 'txt' || extension === 'csv') {
+    return loadSquadratsTileList(content);
+  }
+
+  // Unknown extension (e.g. cached content without name): sniff the content
+  const trimmed = content.trim();
+  if (trimmed.startsWith('<')) return loadSquadratsKml(content);
+  if (trimmed.startsWith('{')) return loadSquadratsGeoJson(content);
+  return loadSquadratsTileList(content);
+}
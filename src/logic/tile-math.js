@@ -0,0 +1,170 @@
+/**
+ * Web-Mercator slippy-map tile math
+ *
+ * Squadrats are zoom-14 tiles, squadratinhos zoom-17 tiles. Tile x grows
+ * eastwards, tile y grows southwards. Grid cells use (i, j) with i growing
+ * northwards, so cell (i, j) maps to tile (originX + j, originY - i) where
+ * (originX, originY) is the south-west tile of the Übersquadrat.
+ */
+
+/**
+ * Fractional tile x coordinate of a longitude
+ * @param {number} lon - Longitude in degrees
+ * @param {number} zoom - Tile zoom level
+ * @returns {number} Fractional tile x
+ */
+export function lonToTileX(lon, zoom) {
+  return ((lon + 180) / 360) * Math.pow(2, zoom);
+}
+
+/**
+ * Fractional tile y coordinate of a latitude
+ * @param {number} lat - Latitude in degrees
+ * @param {number} zoom - Tile zoom level
+ * @returns {number} Fractional tile y
+ */
+export function latToTileY(lat, zoom) {
+  const latRad = (lat * Math.PI) / 180;
+  return ((1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2) * Math.pow(2, zoom);
+}
+
+/**
+ * Longitude of a (fractional) tile x coordinate
+ * @param {number} x - Tile x
+ * @param {number} zoom - Tile zoom level
+ * @returns {number} Longitude in degrees
+ */
+export function tileXToLon(x, zoom) {
+  return (x / Math.pow(2, zoom)) * 360 - 180;
+}
+
+/**
+ * Latitude of a (fractional) tile y coordinate
+ * @param {number} y - Tile y
+ * @param {number} zoom - Tile zoom level
+ * @returns {number} Latitude in degrees
+ */
+export function tileYToLat(y, zoom) {
+  const n = Math.PI - (2 * Math.PI * y) / Math.pow(2, zoom);
+  return (180 / Math.PI) * Math.atan(Math.sinh(n));
+}
+
+/**
+ * Bounds of a single tile
+ * @param {number} x - Tile x
+ * @param {number} y - Tile y
+ * @param {number} zoom - Tile zoom level
+ * @returns {Object} {south, north, west, east}
+ */
+export function tileBounds(x, y, zoom) {
+  return {
+    south: tileYToLat(y + 1, zoom),
+    north: tileYToLat(y, zoom),
+    west: tileXToLon(x, zoom),
+    east: tileXToLon(x + 1, zoom)
+  };
+}
+
+/**
+ * Tile containing a point
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @param {number} zoom - Tile zoom level
+ * @returns {Object} {x, y}
+ */
+export function latLonToTile(lat, lon, zoom) {
+  return {
+    x: Math.floor(lonToTileX(lon, zoom)),
+    y: Math.floor(latToTileY(lat, zoom))
+  };
+}
+
+// ===== GRID CELL <-> TILE =====
+
+/**
+ * Tile coordinates of grid cell (i, j)
+ * @param {number} i - Row index (grows northwards)
+ * @param {number} j - Column index (grows eastwards)
+ * @param {Object} gridParams - Grid parameters {originX, originY}
+ * @returns {Object} {x, y}
+ */
+export function cellToTile(i, j, gridParams) {
+  return {
+    x: gridParams.originX + j,
+    y: gridParams.originY - i
+  };
+}
+
+/**
+ * Grid cell of tile (x, y)
+ * @param {number} x - Tile x
+ * @param {number} y - Tile y
+ * @param {Object} gridParams - Grid parameters {originX, originY}
+ * @returns {Object} {i, j}
+ */
+export function tileToCell(x, y, gridParams) {
+  return {
+    i: gridParams.originY - y,
+    j: x - gridParams.originX
+  };
+}
+
+/**
+ * Grid cell containing a point
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @param {Object} gridParams - Grid parameters {zoom, originX, originY}
+ * @returns {Object} {i, j}
+ */
+export function latLonToCell(lat, lon, gridParams) {
+  const { x, y } = latLonToTile(lat, lon, gridParams.zoom);
+  return tileToCell(x, y, gridParams);
+}
+
+/**
+ * Latitude of the southern border of grid row i
+ * @param {number} i - Row index (may be fractional, i + 1 is the northern border)
+ * @param {Object} gridParams - Grid parameters {zoom, originY}
+ * @returns {number} Latitude in degrees
+ */
+export function rowToLat(i, gridParams) {
+  return tileYToLat(gridParams.originY + 1 - i, gridParams.zoom);
+}
+
+/**
+ * Longitude of the western border of grid column j
+ * @param {number} j - Column index (may be fractional, j + 1 is the eastern border)
+ * @param {Object} gridParams - Grid parameters {zoom, originX}
+ * @returns {number} Longitude in degrees
+ */
+export function colToLon(j, gridParams) {
+  return tileXToLon(gridParams.originX + j, gridParams.zoom);
+}
+
+/**
+ * Bounds of grid cell (i, j) in array format [[south, west], [north, east]]
+ * @param {number} i - Row index
+ * @param {number} j - Column index
+ * @param {Object} gridParams - Grid parameters {zoom, originX, originY}
+ * @returns {Array} Rectangle bounds
+ */
+export function cellBounds(i, j, gridParams) {
+  return [
+    [rowToLat(i, gridParams), colToLon(j, gridParams)],
+    [rowToLat(i + 1, gridParams), colToLon(j + 1, gridParams)]
+  ];
+}
+
+/**
+ * Center of grid cell (i, j)
+ * @param {number} i - Row index
+ * @param {number} j - Column index
+ * @param {Object} gridParams - Grid parameters {zoom, originX, originY}
+ * @returns {Object} {lat, lon}
+ */
+export function cellCenter(i, j, gridParams) {
+  return {
+    lat: rowToLat(i + 0.5, gridParams),
+    lon: colToLon(j + 0.5, gridParams)
+  };
+}
@@ -0,0 +1,260 @@
+import * as turf from '@turf/turf';
+import { CONFIG } from './config.js';
+import { lonToTileX, latToTileY, tileToCell } from './tile-math.js';
+import { BitGrid } from './bit-grid.js';
+
+/**
+ * Import of GPX/FIT activity tracks as visited grid cells
+ *
+ * A track is a list of segments, each segment an array of {lat, lon} points.
+ * Every tile a segment passes through counts as visited.
+ */
+
+// ===== GPX =====
+
+/**
+ * Parse GPX content into track segments
+ * Track segments (trkseg) and routes (rte) each become one segment.
+ * @param {string} content - GPX XML content
+ * @returns {Array} Array of segments (arrays of {lat, lon})
+ */
+export function parseGpx(content) {
+  const dom = new DOMParser().parseFromString(content, 'text/xml');
+  if (dom.querySelector('parsererror')) {
+    throw new Error('Ungültige GPX-Datei');
+  }
+
+  const segments = [];
+  const containers = [...dom.getElementsByTagName('trkseg'), ...dom.getElementsByTagName('rte')];
+
+  for (const container of containers) {
+    const pointTag = container.tagName === 'rte' ? 'rtept' : 'trkpt';
+    const points = [...container.getElementsByTagName(pointTag)]
+      .map(pt => ({
+        lat: parseFloat(pt.getAttribute('lat')),
+        lon: parseFloat(pt.getAttribute('lon'))
+      }))
+      .filter(p => Number.isFinite(p.lat) && Number.isFinite(p.lon));
+
+    if (points.length > 0) segments.push(points);
+  }
+
+  return segments;
+}
+
+// ===== FIT =====
+
+const FIT_RECORD_MESSAGE = 20;
+const FIT_FIELD_POSITION_LAT = 0;
+const FIT_FIELD_POSITION_LONG = 1;
+const FIT_INVALID_SINT32 = 0x7FFFFFFF;
+const SEMICIRCLES_TO_DEGREES = 180 / Math.pow(2, 31);
+
+/**
+ * Parse a binary FIT file into track segments
+ * Only record messages with position_lat/position_long are read; everything
+ * else is skipped using the field definitions.
+ * @param {ArrayBuffer} buffer - FIT file content
+ * @returns {Array} Array with one segment (array of {lat, lon})
+ */
+export function parseFit(buffer) {
+  const view = new DataView(buffer);
+  if (view.byteLength < 12) {
+    throw new Error('Ungültige FIT-Datei');
+  }
+
+  const headerSize = view.getUint8(0);
+  const signature = String.fromCharCode(
+    view.getUint8(8), view.getUint8(9), view.getUint8(10), view.getUint8(11)
+  );
+  if (signature !== '.FIT') {
+    throw new Error('Ungültige FIT-Datei');
+  }
+
+  const dataSize = view.getUint32(4, true);
+  const end = Math.min(headerSize + dataSize, view.byteLength);
+  const definitions = new Map();
+  const points = [];
+  let offset = headerSize;
+
+  while (offset < end) {
+    const recordHeader = view.getUint8(offset++);
+    const isCompressedTimestamp = (recordHeader & 0x80) !== 0;
+    const localType = isCompressedTimestamp ? (recordHeader >> 5) & 0x03 : recordHeader & 0x0F;
+
+    if (!isCompressedTimestamp && (recordHeader & 0x40)) {
+      // Definition message
+      const hasDeveloperFields = (recordHeader & 0x20) !== 0;
+      const littleEndian = view.getUint8(offset + 1) === 0;
+      const globalNumber = view.getUint16(offset + 2, littleEndian);
+      const fieldCount = view.getUint8(offset + 4);
+      offset += 5;
+
+      const fields = [];
+      for (let f = 0; f < fieldCount; f++) {
+        fields.push({ num: view.getUint8(offset), size: view.getUint8(offset + 1) });
+        offset += 3;
+      }
+
+      let developerSize = 0;
+      if (hasDeveloperFields) {
+        const devCount = view.getUint8(offset++);
+        for (let f = 0; f < devCount; f++) {
+          developerSize += view.getUint8(offset + 1);
+          offset += 3;
+        }
+      }
+
+      definitions.set(localType, { globalNumber, littleEndian, fields, developerSize });
+      continue;
+    }
+
+    // Data message
+    const definition = definitions.get(localType);
+    if (!definition) {
+      throw new Error('Ungültige FIT-Datei: Datensatz ohne Definition');
+    }
+
+    let lat = null;
+    let lon = null;
+
+    for (const field of definition.fields) {
+      if (definition.globalNumber === FIT_RECORD_MESSAGE && field.size === 4 &&
+          (field.num === FIT_FIELD_POSITION_LAT || field.num === FIT_FIELD_POSITION_LONG)) {
+        const value = view.getInt32(offset, definition.littleEndian);
+        if (value !== FIT_INVALID_SINT32) {
+          if (field.num === FIT_FIELD_POSITION_LAT) lat = value * SEMICIRCLES_TO_DEGREES;
+          else lon = value * SEMICIRCLES_TO_DEGREES;
+        }
+      }
+      offset += field.size;
+    }
+    offset += definition.developerSize;
+
+    if (lat !== null && lon !== null) {
+      points.push({ lat, lon });
+    }
+  }
+
+  return points.length > 0 ? [points] : [];
+}
+
+// ===== FILE HANDLING =====
+
+/**
+ * Read and parse a GPX or FIT file
+ * @param {File} file - Activity file
+ * @returns {Promise<Object>} {name, segments}
+ */
+export async function parseTrackFile(file) {
+  const name = file.name;
+  const extension = name.toLowerCase().split('.').pop();
+
+  if (extension === 'gpx') {
+    return { name, segments: parseGpx(await file.text()) };
+  }
+  if (extension === 'fit') {
+    return { name, segments: parseFit(await file.arrayBuffer()) };
+  }
+
+  throw new Error(`Nicht unterstütztes Dateiformat: ${name}`);
+}
+
+/**
+ * Check if a file looks like a supported activity file
+ * @param {File} file
+ * @returns {boolean}
+ */
+export function isTrackFile(file) {
+  return /\.(gpx|fit)$/i.test(file.name);
+}
+
+// ===== TILE TRACING =====
+
+/**
+ * Walk all tiles crossed by the line between two points (grid traversal in tile space)
+ * @param {Object} a - Start point {lat, lon}
+ * @param {Object} b - End point {lat, lon}
+ * @param {number} zoom - Tile zoom level
+ * @param {Function} onTile - Called with (x, y) for every crossed tile
+ */
+function traceLine(a, b, zoom, onTile) {
+  const x0 = lonToTileX(a.lon, zoom);
+  const y0 = latToTileY(a.lat, zoom);
+  const x1 = lonToTileX(b.lon, zoom);
+  const y1 = latToTileY(b.lat, zoom);
+
+  let x = Math.floor(x0);
+  let y = Math.floor(y0);
+  const endX = Math.floor(x1);
+  const endY = Math.floor(y1);
+
+  const dx = x1 - x0;
+  const dy = y1 - y0;
+  const stepX = Math.sign(dx);
+  const stepY = Math.sign(dy);
+  const tDeltaX = stepX !== 0 ? Math.abs(1 / dx) : Infinity;
+  const tDeltaY = stepY !== 0 ? Math.abs(1 / dy) : Infinity;
+  let tMaxX = stepX > 0 ? (x + 1 - x0) / dx : stepX < 0 ? (x0 - x) / -dx : Infinity;
+  let tMaxY = stepY > 0 ? (y + 1 - y0) / dy : stepY < 0 ? (y0 - y) / -dy : Infinity;
+
+  onTile(x, y);
+
+  // Bounded by the Manhattan distance in tiles, so rounding at tile corners cannot loop forever
+  let steps = Math.abs(endX - x) + Math.abs(endY - y);
+
+  while ((x !== endX || y !== endY) && steps-- > 0) {
+    if (tMaxX < tMaxY) {
+      x += stepX;
+      tMaxX += tDeltaX;
+    } else {
+      y += stepY;
+      tMaxY += tDeltaY;
+    }
+    onTile(x, y);
+  }
+}
+
+/**
+ * Trace track segments and report every tile they pass through
+ * Gaps longer than CONFIG.TRACK_MAX_GAP_KM (GPS dropouts, train rides) are not
+ * interpolated, only their end points count.
+ * @param {Array} segments - Array of segments (arrays of {lat, lon})
+ * @param {number} zoom - Tile zoom level
+ * @param {Function} onTile - Called with (x, y) for every crossed tile
+ */
+export function traceTrackTiles(segments, zoom, onTile) {
+  for (const points of segments) {
+    for (let k = 0; k < points.length; k++) {
+      const a = points[k];
+      const b = points[k + 1];
+
+      const gap = b ? turf.distance(turf.point([a.lon, a.lat]), turf.point([b.lon, b.lat])) : Infinity;
+      if (gap > CONFIG.TRACK_MAX_GAP_KM) {
+        onTile(Math.floor(lonToTileX(a.lon, zoom)), Math.floor(latToTileY(a.lat, zoom)));
+        continue;
+      }
+
+      traceLine(a, b, zoom, onTile);
+    }
+  }
+}
+
+/**
+ * Find grid cells crossed by a track that are not yet visited
+ * @param {Array} segments - Track segments
+ * @param {Object} gridParams - Grid parameters {zoom, originX, originY}
+ * @param {BitGrid|Iterable} visitedSet - Visited squares (see BitGrid.from)
+ * @returns {Set} Set of "i,j" keys newly visited by the track
+ */
+export function findNewlyVisitedCells(segments, gridParams, visitedSet) {
+  const visited = BitGrid.from(visitedSet);
+  const newCells = new Set();
+
+  traceTrackTiles(segments, gridParams.zoom, (x, y) => {
+    const { i, j } = tileToCell(x, y, gridParams);
+    if (!visited.hasCell(i, j)) newCells.add(`${i},${j}`);
+  });
+
+  return newCells;
+}
@@ -1,13 +1,26 @@
 import * as turf from '@turf/turf';
 
 /**
- * Nearest Neighbor algorithm for TSP using Turf.js nearestPoint
+ * Great-circle distance, the default metric of the solver
+ * Every function below takes an optional distance(a, b) in km instead, e.g. road
+ * network distances from distance-matrix.js.
+ * @param {Object} a - {lat, lon}
+ * @param {Object} b - {lat, lon}
+ * @returns {number} Distance in kilometers
+ */
+export function greatCircleDistance(a, b) {
+  return turf.distance([a.lon, a.lat], [b.lon, b.lat]);
+}
+
+/**
+ * Nearest Neighbor algorithm for TSP
  * @param {Array} points - Array of {lat, lon} points to visit
  * @param {Object} startPoint - Starting point {lat, lon}
  * @param {boolean} roundtrip - Whether to return to start
+ * @param {Function} distance - Distance between two points in km
  * @returns {Array} Ordered array of points
  */
-export function nearestNeighbor(points, startPoint, roundtrip = false) {
+export function nearestNeighbor(points, startPoint, roundtrip = false, distance = greatCircleDistance) {
   if (points.length === 0) return [startPoint];
   if (points.length === 1) {
     return roundtrip ? [startPoint, points[0], startPoint] : [startPoint, points[0]];
@@ -15,19 +28,21 @@ export function nearestNeighbor(points, startPoint, roundtrip = false) {
 
   const unvisited = [...points];
   const route = [startPoint];
-  let current = turf.point([startPoint.lon, startPoint.lat]);
+  let current = startPoint;
 
   while (unvisited.length > 0) {
-    const pointsFC = turf.featureCollection(
-      unvisited.map((p, idx) => turf.point([p.lon, p.lat], { index: idx }))
-    );
-
-    const nearest = turf.nearestPoint(current, pointsFC);
-    const nearestIndex = nearest.properties.index;
-    const nearestPoint = unvisited[nearestIndex];
+    let nearestIndex = 0;
+    let nearestDistance = Infinity;
+    unvisited.forEach((point, index) => {
+      const d = distance(current, point);
+      if (d < nearestDistance) {
+        nearestDistance = d;
+        nearestIndex = index;
+      }
+    });
 
-    route.push(nearestPoint);
-    current = turf.point([nearestPoint.lon, nearestPoint.lat]);
+    current = unvisited[nearestIndex];
+    route.push(current);
     unvisited.splice(nearestIndex, 1);
   }
 
@@ -39,16 +54,17 @@ export function nearestNeighbor(points, startPoint, roundtrip = false) {
 }
 
 /**
- * Calculate total route distance using Turf.js
+ * Calculate total route distance
  * @param {Array} route - Ordered array of {lat, lon} points
+ * @param {Function} distance - Distance between two points in km
  * @returns {number} Total distance in kilometers
  */
-export function calculateRouteDistance(route) {
-  if (route.length < 2) return 0;
-
-  const coords = route.map(p => [p.lon, p.lat]);
-  const line = turf.lineString(coords);
-  return turf.length(line, { units: 'kilometers' });
+export function calculateRouteDistance(route, distance = greatCircleDistance) {
+  let total = 0;
+  for (let i = 1; i < route.length; i++) {
+    total += distance(route[i - 1], route[i]);
+  }
+  return total;
 }
 
 /**
@@ -57,15 +73,16 @@ export function calculateRouteDistance(route) {
  * @param {Object} startPoint - Starting point {lat, lon}
  * @param {boolean} roundtrip - Whether to return to start
  * @param {boolean} optimize - Whether to apply 2-opt optimization (default: true)
+ * @param {Function} distance - Distance between two points in km
  * @returns {Object} {route: Array, distance: number}
  */
-export function solveTSP(points, startPoint, roundtrip = false, optimize = true) {
-  let route = nearestNeighbor(points, startPoint, roundtrip);
+export function solveTSP(points, startPoint, roundtrip = false, optimize = true, distance = greatCircleDistance) {
+  let route = nearestNeighbor(points, startPoint, roundtrip, distance);
 
   if (optimize && points.length >= 3) {
-    route = twoOptOptimize(route);
+    route = twoOptOptimize(route, 100, distance);
   }
-  const dist = calculateRouteDistance(route);
+  const dist = calculateRouteDistance(route, distance);
 
   return { route, distance: dist };
 }
@@ -75,9 +92,10 @@ export function solveTSP(points, startPoint, roundtrip = false, optimize = true)
  *
  * @param {Array} route - Initial route as array of {lat, lon} points
  * @param {number} maxIterations - Maximum optimization iterations
+ * @param {Function} distance - Distance between two points in km
  * @returns {Array} Optimized route
  */
-export function twoOptOptimize(route, maxIterations = 100) {
+export function twoOptOptimize(route, maxIterations = 100, distance = greatCircleDistance) {
   if (route.length < 4) return route;
 
   const optimizedRoute = [...route];
@@ -93,13 +111,8 @@ export function twoOptOptimize(route, maxIterations = 100) {
       for (let j = i + 1; j < n - 1; j++) {
         const [a, b, c, d] = [optimizedRoute[i - 1], optimizedRoute[i], optimizedRoute[j], optimizedRoute[j + 1]];
 
-        const currentCost =
-          turf.distance(turf.point([a.lon, a.lat]), turf.point([b.lon, b.lat])) +
-          turf.distance(turf.point([c.lon, c.lat]), turf.point([d.lon, d.lat]));
-
-        const newCost =
-          turf.distance(turf.point([a.lon, a.lat]), turf.point([c.lon, c.lat])) +
-          turf.distance(turf.point([b.lon, b.lat]), turf.point([d.lon, d.lat]));
+        const currentCost = distance(a, b) + distance(c, d);
+        const newCost = distance(a, c) + distance(b, d);
 
         if (newCost < currentCost) {
           const reversed = optimizedRoute.slice(i, j + 1).reverse();
@@ -118,15 +131,16 @@ export function twoOptOptimize(route, maxIterations = 100) {
  *
  * @param {Array} route - Route array where waypoints may have .alternatives
  * @param {number} maxIterations - Maximum refinement iterations
+ * @param {Function} distance - Distance between two points in km
  * @returns {Object} { route, iterations, swaps, distance }
  */
-export function refineCandidates(route, maxIterations = 10) {
-  if (route.length < 3) return { route, iterations: 0, swaps: 0, distance: calculateRouteDistance(route) };
+export function refineCandidates(route, maxIterations = 10, distance = greatCircleDistance) {
+  if (route.length < 3) return { route, iterations: 0, swaps: 0, distance: calculateRouteDistance(route, distance) };
 
   let improved = true;
   let iterations = 0;
   let totalSwaps = 0;
-  let currentDistance = calculateRouteDistance(route);
+  let currentDistance = calculateRouteDistance(route, distance);
   const initialDistance = currentDistance;
 
   while (improved && iterations < maxIterations) {
@@ -147,7 +161,7 @@ export function refineCandidates(route, maxIterations = 10) {
           return p;
         });
 
-        const newDistance = calculateRouteDistance(testRoute);
+        const newDistance = calculateRouteDistance(testRoute, distance);
 
         // Accept if improvement (with small tolerance to avoid floating point issues)
         if (newDistance < currentDistance - 0.001) {
@@ -0,0 +1,329 @@
+import { CONFIG } from './config.js';
+import { BitGrid } from './bit-grid.js';
+
+/**
+ * Analysis of the visited grid independent of what the KML declares
+ *
+ * - Largest fully visited square (the Übersquadrat as squadrats.com computes it)
+ * - Largest cluster: biggest 4-connected group of visited squares whose four
+ *   neighbours are all visited as well
+ * - Holes: unvisited areas fully enclosed by visited squares
+ */
+
+/**
+ * Bounding box of all visited cells
+ * @param {BitGrid|Iterable} visitedSet - Visited squares (see BitGrid.from)
+ * @returns {Object|null} {minI, maxI, minJ, maxJ} or null if nothing is visited
+ */
+export function getVisitedExtent(visitedSet) {
+  return BitGrid.from(visitedSet).extent();
+}
+
+/**
+ * Find the largest square of visited cells
+ * Dynamic programming over the visited cells only, row by row from the south.
+ * If several squares share the maximum size, the first one found scanning from the south-west wins.
+ * @param {BitGrid|Iterable} visitedSet - Visited squares (see BitGrid.from)
+ * @returns {Object|null} {minI, maxI, minJ, maxJ, size} or null if nothing is visited
+ */
+export function findLargestSquare(visitedSet) {
+  const visited = BitGrid.from(visitedSet);
+  const extent = visited.extent();
+  if (!extent) return null;
+
+  // dp value of a cell = size of the largest square with its north-east corner there.
+  // Visited areas are sparse, so each column remembers the row (1-based) its value belongs to.
+  const width = extent.maxJ - extent.minJ + 1;
+  let south = { size: new Int32Array(width), row: new Int32Array(width) };
+  let current = { size: new Int32Array(width), row: new Int32Array(width) };
+  let currentI = null;
+  let best = { size: 0, i: 0, j: 0 };
+
+  visited.forEachCell((i, j) => {
+    if (i !== currentI) {
+      [south, current] = [current, south];
+      currentI = i;
+    }
+
+    const row = i - extent.minI + 1;
+    const col = j - extent.minJ;
+    const southValue = south.row[col] === row - 1 ? south.size[col] : 0;
+    const west = col > 0 && current.row[col - 1] === row ? current.size[col - 1] : 0;
+    const southWest = col > 0 && south.row[col - 1] === row - 1 ? south.size[col - 1] : 0;
+    const size = Math.min(southValue, west, southWest) + 1;
+
+    current.size[col] = size;
+    current.row[col] = row;
+    if (size > best.size) {
+      best = { size, i, j };
+    }
+  });
+
+  return {
+    minI: best.i - best.size + 1,
+    maxI: best.i,
+    minJ: best.j - best.size + 1,
+    maxJ: best.j,
+    size: best.size
+  };
+}
+
+/**
+ * Find the largest cluster of visited squares
+ * Of several clusters with the same size the southernmost wins.
+ * @param {BitGrid|Iterable} visitedSet - Visited squares (see BitGrid.from)
+ * @returns {Object} {size, squares: Array of "i,j" keys}
+ */
+export function findLargestCluster(visitedSet) {
+  const visited = BitGrid.from(visitedSet);
+
+  const isClusterSquare = (i, j) =>
+    visited.hasCell(i, j) &&
+    visited.hasCell(i - 1, j) &&
+    visited.hasCell(i + 1, j) &&
+    visited.hasCell(i, j - 1) &&
+    visited.hasCell(i, j + 1);
+
+  const seen = new BitGrid();
+  // Cluster squares are visited, so the queue never holds more than all visited cells
+  const queueI = new Int32Array(visited.size);
+  const queueJ = new Int32Array(visited.size);
+  let largest = [];
+
+  visited.forEachCell((si, sj) => {
+    if (seen.hasCell(si, sj) || !isClusterSquare(si, sj)) return;
+
+    const region = [];
+    let tail = 0;
+    queueI[tail] = si;
+    queueJ[tail++] = sj;
+    seen.addCell(si, sj);
+
+    for (let head = 0; head < tail; head++) {
+      const i = queueI[head];
+      const j = queueJ[head];
+      region.push(`${i},${j}`);
+
+      for (const [ni, nj] of [[i - 1, j], [i + 1, j], [i, j - 1], [i, j + 1]]) {
+        if (!seen.hasCell(ni, nj) && isClusterSquare(ni, nj)) {
+          seen.addCell(ni, nj);
+          queueI[tail] = ni;
+          queueJ[tail++] = nj;
+        }
+      }
+    }
+
+    if (region.length > largest.length) {
+      largest = region;
+    }
+  });
+
+  return { size: largest.length, squares: largest };
+}
+
+const VISITED = 1;
+const OUTSIDE = 2;
+
+/**
+ * Groups of 8-connected visited cells with their bounding box
+ * Any enclosed area is surrounded by a single such group.
+ * @param {BitGrid} visited - Visited squares
+ * @returns {Array} Groups {cellsI, cellsJ, minI, maxI, minJ, maxJ} with the cell coordinates as arrays
+ */
+function findVisitedGroups(visited) {
+  const seen = new BitGrid();
+  const groups = [];
+
+  visited.forEachCell((si, sj) => {
+    if (seen.hasCell(si, sj)) return;
+
+    const group = { cellsI: [si], cellsJ: [sj], minI: si, maxI: si, minJ: sj, maxJ: sj };
+    seen.addCell(si, sj);
+
+    for (let head = 0; head < group.cellsI.length; head++) {
+      const i = group.cellsI[head];
+      const j = group.cellsJ[head];
+      if (i < group.minI) group.minI = i;
+      if (i > group.maxI) group.maxI = i;
+      if (j < group.minJ) group.minJ = j;
+      if (j > group.maxJ) group.maxJ = j;
+
+      for (let ni = i - 1; ni <= i + 1; ni++) {
+        for (let nj = j - 1; nj <= j + 1; nj++) {
+          if (visited.hasCell(ni, nj) && seen.addCell(ni, nj)) {
+            group.cellsI.push(ni);
+            group.cellsJ.push(nj);
+          }
+        }
+      }
+    }
+
+    groups.push(group);
+  });
+
+  return groups;
+}
+
+/**
+ * Rasterize the bounding box of a group and flood-fill it from outside
+ * Cells still 0 afterwards are enclosed by the group.
+ * @param {Object} group - Group from findVisitedGroups
+ * @returns {Object} {cells, width, minI, minJ}
+ */
+function fillFromOutside(group) {
+  // One cell of padding around the box so the fill can walk around everything
+  const minI = group.minI - 1;
+  const minJ = group.minJ - 1;
+  const height = group.maxI - group.minI + 3;
+  const width = group.maxJ - group.minJ + 3;
+
+  const cells = new Uint8Array(width * height);
+  group.cellsI.forEach((i, index) => {
+    cells[(i - minI) * width + (group.cellsJ[index] - minJ)] = VISITED;
+  });
+
+  // Every cell is queued at most once
+  const queue = new Int32Array(cells.length);
+  let tail = 0;
+  const visit = (n) => {
+    if (cells[n] === 0) {
+      cells[n] = OUTSIDE;
+      queue[tail++] = n;
+    }
+  };
+
+  visit(0);
+  for (let head = 0; head < tail; head++) {
+    const index = queue[head];
+    const col = index % width;
+
+    if (index >= width) visit(index - width);
+    if (index < cells.length - width) visit(index + width);
+    if (col > 0) visit(index - 1);
+    if (col < width - 1) visit(index + 1);
+  }
+
+  return { cells, width, minI, minJ };
+}
+
+/**
+ * Unvisited cells enclosed by visited cells
+ * Visited areas are sparse, so instead of the whole visited extent only the
+ * bounding box of each group of touching visited cells is filled.
+ * @param {BitGrid} visited - Visited squares
+ * @returns {BitGrid} Enclosed cells
+ */
+function findEnclosedCells(visited) {
+  const enclosed = new BitGrid();
+
+  for (const group of findVisitedGroups(visited)) {
+    // Enclosing anything takes at least a ring of 3×3
+    if (group.maxI - group.minI < 2 || group.maxJ - group.minJ < 2) continue;
+
+    const { cells, width, minI, minJ } = fillFromOutside(group);
+    for (let index = 0; index < cells.length; index++) {
+      if (cells[index] !== 0) continue;
+
+      // Other groups may lie inside the enclosed area
+      const i = Math.floor(index / width) + minI;
+      const j = index % width + minJ;
+      if (!visited.hasCell(i, j)) enclosed.addCell(i, j);
+    }
+  }
+
+  return enclosed;
+}
+
+/**
+ * Find all holes of the visited area
+ * A hole is a 4-connected group of unvisited cells fully enclosed by visited
+ * cells, anywhere in the visited extent. Open bays that connect to the
+ * outside are not holes.
+ * @param {BitGrid|Iterable} visitedSet - Visited squares (see BitGrid.from)
+ * @returns {Array} Holes {id, squares: Array of {i, j, key}, size}, from the south-west
+ */
+export function findHoles(visitedSet) {
+  const enclosed = findEnclosedCells(BitGrid.from(visitedSet));
+  const assigned = new BitGrid();
+  const holes = [];
+
+  enclosed.forEachCell((si, sj) => {
+    if (assigned.hasCell(si, sj)) return;
+
+    const squares = [{ i: si, j: sj, key: `${si},${sj}` }];
+    assigned.addCell(si, sj);
+
+    for (let head = 0; head < squares.length; head++) {
+      const { i, j } = squares[head];
+      for (const [ni, nj] of [[i - 1, j], [i + 1, j], [i, j - 1], [i, j + 1]]) {
+        if (enclosed.hasCell(ni, nj) && assigned.addCell(ni, nj)) {
+          squares.push({ i: ni, j: nj, key: `${ni},${nj}` });
+        }
+      }
+    }
+
+    holes.push({ id: holes.length, squares, size: squares.length });
+  });
+
+  return holes;
+}
+
+/**
+ * Size class of a hole
+ * @param {number} size - Number of squares in the hole
+ * @param {Array} limits - [smallMax, mediumMax] upper size limits of the small and medium class
+ * @returns {string} 'small', 'medium' or 'large'
+ */
+export function classifyHole(size, limits = CONFIG.HOLE_SIZE_LIMITS) {
+  if (size <= limits[0]) return 'small';
+  if (size <= limits[1]) return 'medium';
+  return 'large';
+}
+
+/**
+ * Count unvisited cells inside a base square
+ * @param {Object} base - {minI, maxI, minJ, maxJ}
+ * @param {BitGrid} visited - Visited squares
+ * @returns {number} Number of unvisited cells
+ */
+function countMissing(base, visited) {
+  let missing = 0;
+  for (let i = base.minI; i <= base.maxI; i++) {
+    for (let j = base.minJ; j <= base.maxJ; j++) {
+      if (!visited.hasCell(i, j)) missing++;
+    }
+  }
+  return missing;
+}
+
+/**
+ * Compare the declared Übersquadrat with the one derived from the visited grid
+ *
+ * @param {BitGrid|Iterable} visitedSet - Visited squares (see BitGrid.from)
+ * @param {Object|null} declaredBase - Übersquadrat from the KML {minI, maxI, minJ, maxJ} or null
+ * @returns {Object} {declared, derived, cluster, warnings}
+ */
+export function analyzeVisited(visitedSet, declaredBase) {
+  const visited = BitGrid.from(visitedSet);
+  const derived = findLargestSquare(visited);
+  const cluster = findLargestCluster(visited);
+  const warnings = [];
+
+  let declared = null;
+  if (declaredBase) {
+    declared = {
+      ...declaredBase,
+      size: declaredBase.maxI - declaredBase.minI + 1,
+      missing: countMissing(declaredBase, visited)
+    };
+
+    if (declared.missing > 0) {
+      warnings.push(`Das Übersquadrat aus der KML ist nicht vollständig besucht (${declared.missing} Quadrate fehlen).`);
+    }
+    if (derived && derived.size > declared.size) {
+      warnings.push(`Das größte besuchte Quadrat ist ${derived.size}×${derived.size}, die KML meldet ${declared.size}×${declared.size}. Ist die KML veraltet?`);
+    }
+  }
+
+  return { declared, derived, cluster, warnings };
+}
@@ -1,5 +1,5 @@
 import * as turf from '@turf/turf';
-import { normalizeBounds, combineBounds, boundsToMinMax, getBoundsCenter } from './bounds-utils.js';
+import { normalizeBounds, combineBounds, boundsToMinMax, getBoundsCenter, shrinkBounds } from './bounds-utils.js';
 
 /**
  * Create a Turf.js polygon from square bounds
@@ -39,10 +39,13 @@ function formatCandidate(candidate) {
  * Find roads that pass through a square
  * @param {Array} roads - Array of GeoJSON road features
  * @param {Object} square - Square bounds
+ * @param {number} margin - Fraction of the square kept free along its borders (0 = whole square)
  * @returns {Array} Roads that intersect the square (with original and clipped geometries)
  */
-function findRoadsInSquare(roads, square) {
-  const squarePoly = squareToPolygon(square);
+function findRoadsInSquare(roads, square, margin = 0) {
+  const squarePoly = margin > 0
+    ? squareToPolygon(shrinkBounds(square, margin))
+    : squareToPolygon(square);
   const intersectingRoads = [];
 
   for (const road of roads) {
@@ -286,9 +289,10 @@ function findBestWaypoint(roadsInSquare, square, options = {}) {
  *
  * @param {Array} squares - Array of square bounds (from optimizer)
  * @param {Array} roads - Array of GeoJSON road features
+ * @param {number} margin - Fraction of each square kept free along its borders
  * @returns {Object} {waypoints, skippedSquares, statistics}
  */
-export function optimizeWaypoints(squares, roads) {
+export function optimizeWaypoints(squares, roads, margin = 0) {
   const results = {
     waypoints: [],
     skippedSquares: [],
@@ -304,7 +308,7 @@ export function optimizeWaypoints(squares, roads) {
 
   for (let i = 0; i < squares.length; i++) {
     const square = squares[i];
-    const roadsInSquare = findRoadsInSquare(roads, square);
+    const roadsInSquare = findRoadsInSquare(roads, square, margin);
 
     if (roadsInSquare.length > 0) {
       const waypoint = findBestWaypoint(roadsInSquare, square, { squareIndex: i });
@@ -352,9 +356,10 @@ export function optimizeWaypoints(squares, roads) {
  * @param {Array} roads - Array of GeoJSON road features
  * @param {Object|null} startPoint - Starting point {lat, lon}
  * @param {boolean} roundtrip - Whether this is a roundtrip route
+ * @param {number} margin - Fraction of each square kept free along its borders
  * @returns {Object} {waypoints, skippedSquares, statistics}
  */
-export function optimizeWaypointsWithSequence(orderedSquares, roads, startPoint = null, roundtrip = false) {
+export function optimizeWaypointsWithSequence(orderedSquares, roads, startPoint = null, roundtrip = false, margin = 0) {
   const results = {
     waypoints: [],
     skippedSquares: [],
@@ -380,7 +385,7 @@ export function optimizeWaypointsWithSequence(orderedSquares, roads, startPoint
       continue;
     }
 
-    const roadsInSquare = findRoadsInSquare(roads, square);
+    const roadsInSquare = findRoadsInSquare(roads, square, margin);
 
     let prevPoint = null;
     let nextPoint = null;
@@ -1,35 +1,102 @@
 import { defineStore } from 'pinia';
+import { toRaw, markRaw } from 'vue';
+import { CONFIG } from '../logic/config';
+import { PRESET_PROFILES, resolveScoringWeights, loadUserProfiles, saveUserProfiles } from '../logic/scoring-profiles';
+import { createExclusionZone, getExcludedCells, loadExclusionZones, saveExclusionZones } from '../logic/exclusion-zones';
+import { pinnedCandidate, candidatesFromMetadata, buildProposal } from '../logic/optimizer';
+import { findLargestSquare, findHoles, classifyHole } from '../logic/visited-analysis';
+import { BitGrid } from '../logic/bit-grid';
+import { ROUTING_BACKENDS, loadRoutingSettings, saveRoutingSettings } from '../logic/routing-backends';
 
 export const useAppStore = defineStore('app', {
   state: () => ({
     grid: {
-      latStep: null,
-      lonStep: null,
+      zoom: null,
+      originX: null,
+      originY: null,
       originLat: null,
       originLon: null
     },
 
-    visitedSet: new Set(),
+    // Visited squares of the active level; BitGrids are kept raw and replaced instead of mutated
+    visitedSet: markRaw(new BitGrid()),
     baseSquare: null,
+
+    // Grid data per level: {gridParams, visitedSet, fileVisitedSet, declared} for 'squadrat' and 'squadratinho'
+    // fileVisitedSet keeps the squares as loaded from the file, without imported tracks
+    levels: {
+      squadrat: null,
+      squadratinho: null
+    },
     kmlLoading: false,
     kmlFilename: null,
 
+    // Imported activities: {name, segments, added: {level: ["i,j", ...]}}
+    importedTracks: [],
+
+    // Exclusion zones {id, name, polygons} of the loaded file, persisted per file name
+    exclusionZones: [],
+    // Outline of the zone being drawn ([lat, lon] vertices) or null when not drawing
+    zoneDraft: null,
+
+    // User scoring profiles {name: weights}, persisted in LocalStorage
+    scoringProfiles: loadUserProfiles(),
+
     proposedSquares: [],
     proposedMetadata: [],
+    // All scored candidates of the last optimization (best first), for the score heatmap and map picks
+    scoredCandidates: [],
+    // What-if painting on the active level: cells simulated as visited (added) or unvisited (removed)
+    // on top of the real visited set of the level; visitedSet holds the combined result
+    simulation: {
+      added: [],
+      removed: []
+    },
+    paintingCells: false,
+
+    // Manually picked squares ("i,j" keys of the active level), kept on re-optimization
+    pinnedCells: [],
+    // Proposed squares removed by a map click, not proposed again until released
+    unpinnedCells: [],
+    // Map clicks add/remove proposed squares
+    pickingCells: false,
 
     routing: {
       startPoint: null,
       selectingStartPoint: false,
       currentRoute: null,
       bikeType: 'fastbike',
-      roundtrip: true
+      roundtrip: true,
+      // Routing backend id and instance URL per backend (persisted)
+      ...loadRoutingSettings()
     },
 
     settings: {
       numSquares: 5,
       directions: ['N', 'S', 'E', 'W'],
-      mode: 'balanced',
-      maxHoleSize: 3
+      mode: 'balanced',           // Scoring preset id or user profile name
+      maxHoleSize: 3,
+      // Layers around the ubersquadrat scanned for candidates (holes count wherever they are)
+      searchRadius: CONFIG.SEARCH_RADIUS,
+      // Upper size of small and medium holes for the hole overlay
+      holeSizeLimits: [...CONFIG.HOLE_SIZE_LIMITS],
+      // 0 = plain top-N by score, 1 = strongly prefer squares next to other picks
+      compactness: 0,
+      gridLevel: 'squadrat',
+      // 'count' picks numSquares squares, 'budget' fills a ride budget
+      selectionMode: 'count',
+      budget: {
+        value: 50,
+        unit: 'km'
+      },
+      // Cell shading of the canvas grid layer
+      cellShading: {
+        visited: false,
+        unvisited: false,
+        holes: false
+      },
+      // Color every scored candidate by its score; map clicks explain the score of a cell
+      scoreHeatmap: false
     }
   }),
 
@@ -37,7 +104,7 @@ export const useAppStore = defineStore('app', {
     /**
      * Check if app is ready for optimization (KML loaded, not currently loading)
      */
-    isReady: (state) => state.grid.latStep !== null && !state.kmlLoading,
+    isReady: (state) => state.grid.zoom !== null && !state.kmlLoading,
 
     /**
      * Check if route calculation is possible (start point selected)
@@ -57,6 +124,53 @@ export const useAppStore = defineStore('app', {
       return sp ? `${sp.lat.toFixed(5)}, ${sp.lon.toFixed(5)}` : null;
     },
 
+    /**
+     * Check if the loaded KML contains squadratinhos
+     */
+    hasSquadratinhos: (state) => state.levels.squadratinho !== null,
+
+    /**
+     * Check if the active ubersquadrat was declared in the KML (false = derived from visited squares)
+     */
+    ubersquadratDeclared: (state) => state.levels[state.settings.gridLevel]?.declared ?? false,
+
+    /**
+     * Scoring weights of the selected preset or user profile
+     */
+    activeScoringWeights: (state) => resolveScoringWeights(state.settings.mode, state.scoringProfiles),
+
+    /**
+     * Whether painted what-if cells currently change the visited set
+     */
+    simulationActive: (state) => state.simulation.added.length > 0 || state.simulation.removed.length > 0,
+
+    /**
+     * Squares of the active grid level inside an exclusion zone ("i,j" keys)
+     */
+    excludedSet: (state) => getExcludedCells(state.exclusionZones, state.grid),
+
+    /**
+     * Squares the optimizer must not propose: exclusion zones and removed proposed squares
+     */
+    optimizerExcludedSet() {
+      if (this.unpinnedCells.length === 0) return this.excludedSet;
+      return new Set([...this.excludedSet, ...this.unpinnedCells]);
+    },
+
+    /**
+     * Enclosed holes of the current visited set {id, squares, size}
+     */
+    holes: (state) => findHoles(toRaw(state.visitedSet)),
+
+    /**
+     * Holes with their size class ('small', 'medium', 'large')
+     * Kept apart from holes so changing the class limits does not repeat the flood fill
+     */
+    classifiedHoles() {
+      const limits = this.settings.holeSizeLimits;
+      return this.holes.map(hole => ({ ...hole, sizeClass: classifyHole(hole.size, limits) }));
+    },
+
     /**
      * Get ubersquadrat size as string (e.g., "16x16")
      */
@@ -70,10 +184,20 @@ export const useAppStore = defineStore('app', {
 
   actions: {
     resetState() {
-      this.visitedSet = new Set();
+      this.visitedSet = markRaw(new BitGrid());
       this.baseSquare = null;
+      this.levels = { squadrat: null, squadratinho: null };
+      this.importedTracks = [];
+      this.exclusionZones = [];
+      this.zoneDraft = null;
+      this.pinnedCells = [];
+      this.unpinnedCells = [];
+      this.pickingCells = false;
+      this.simulation = { added: [], removed: [] };
+      this.paintingCells = false;
       this.proposedSquares = [];
-      this.grid = { latStep: null, lonStep: null, originLat: null, originLon: null };
+      this.scoredCandidates = [];
+      this.grid = { zoom: null, originX: null, originY: null, originLat: null, originLon: null };
       this.clearStartPoint();
       this.resetRoute();
     },
@@ -117,15 +241,117 @@ export const useAppStore = defineStore('app', {
     },
 
     setGridParameters(params) {
-      this.grid.latStep = params.latStep;
-      this.grid.lonStep = params.lonStep;
+      this.grid.zoom = params.zoom;
+      this.grid.originX = params.originX;
+      this.grid.originY = params.originY;
       this.grid.originLat = params.originLat;
       this.grid.originLon = params.originLon;
       this.baseSquare = params.baseSquare;
     },
 
     setVisitedSet(visitedSet) {
-      this.visitedSet = visitedSet;
+      this.visitedSet = markRaw(visitedSet);
+    },
+
+    /**
+     * Store grid data of a level
+     * @param {string} level - 'squadrat' or 'squadratinho'
+     * @param {Object} data - {gridParams, visitedSet, declared} where declared tells
+     *                        whether the ubersquadrat came from the KML or was derived
+     */
+    setLevelData(level, { gridParams, visitedSet, declared }) {
+      const raw = markRaw(visitedSet);
+      this.levels[level] = { gridParams, visitedSet: raw, fileVisitedSet: raw, declared };
+    },
+
+    /**
+     * Mark additional cells of a level as visited
+     * @param {string} level - 'squadrat' or 'squadratinho'
+     * @param {Iterable} cells - "i,j" keys
+     */
+    addVisitedCells(level, cells) {
+      const data = this.levels[level];
+      if (!data) return;
+
+      const visited = data.visitedSet.clone();
+      for (const key of cells) visited.add(key);
+      data.visitedSet = markRaw(visited);
+      if (this.settings.gridLevel === level) {
+        this.applySimulation();
+        this.pinnedCells = this.pinnedCells.filter(key => !this.visitedSet.has(key));
+        this.proposedSquares = [];
+        this.proposedMetadata = [];
+        this.scoredCandidates = [];
+        this.resetRoute();
+      }
+    },
+
+    addImportedTrack(track) {
+      this.importedTracks.push(track);
+    },
+
+    /**
+     * Switch between squadrat and squadratinho planning
+     * Falls back to squadrats if no data is loaded for the requested level
+     */
+    setGridLevel(level) {
+      const data = this.levels[level] ? this.levels[level] : this.levels.squadrat;
+      if (!data) return;
+
+      this.settings.gridLevel = this.levels[level] ? level : 'squadrat';
+      this.setGridParameters(data.gridParams);
+      this.setVisitedSet(data.visitedSet);
+      this.simulation = { added: [], removed: [] };
+      this.pinnedCells = [];
+      this.unpinnedCells = [];
+      this.proposedSquares = [];
+      this.proposedMetadata = [];
+      this.scoredCandidates = [];
+      this.resetRoute();
+    },
+
+    /**
+     * Update cell shading options of the map grid
+     * @param {Object} shading - Partial {visited, unvisited, holes}
+     */
+    setCellShading(shading) {
+      this.settings.cellShading = { ...this.settings.cellShading, ...shading };
+    },
+
+    /**
+     * Save a user scoring profile and select it
+     * @param {string} name - Profile name (must not be a preset id)
+     * @param {Object} weights - Scoring weights
+     */
+    saveScoringProfile(name, weights) {
+      if (PRESET_PROFILES[name]) {
+        throw new Error(`"${name}" ist ein vordefiniertes Profil`);
+      }
+      this.scoringProfiles = { ...this.scoringProfiles, [name]: weights };
+      saveUserProfiles(this.scoringProfiles);
+      this.settings.mode = name;
+    },
+
+    /**
+     * Delete a user scoring profile (falls back to the balanced preset if it was selected)
+     * @param {string} name - Profile name
+     */
+    deleteScoringProfile(name) {
+      const { [name]: removed, ...rest } = this.scoringProfiles;
+      this.scoringProfiles = rest;
+      saveUserProfiles(this.scoringProfiles);
+      if (this.settings.mode === name) {
+        this.settings.mode = 'balanced';
+      }
+    },
+
+    /**
+     * Add imported profiles, replacing profiles with the same name
+     * @param {Object} profiles - {name: weights}
+     */
+    importScoringProfiles(profiles) {
+      this.scoringProfiles = { ...this.scoringProfiles, ...profiles };
+      saveUserProfiles(this.scoringProfiles);
     },
 
     setProposedSquares(optimizationResult) {
@@ -139,12 +365,194 @@ export const useAppStore = defineStore('app', {
       this.resetRoute();
     },
 
+    /**
+     * Keep the scored candidates of an optimization for the heatmap
+     * @param {Array} candidates - Result of scoreCandidates, best first
+     */
+    setScoredCandidates(candidates) {
+      this.scoredCandidates = candidates;
+    },
+
+    /**
+     * Select the routing backend
+     * @param {string} id - Backend id (see ROUTING_BACKENDS)
+     */
+    setRoutingBackend(id) {
+      this.routing.backend = id;
+      saveRoutingSettings({ backend: id, backendUrls: this.routing.backendUrls });
+    },
+
+    /**
+     * Set the instance URL of the selected routing backend
+     * @param {string} url - Instance URL; empty resets to the default instance
+     */
+    setRoutingBackendUrl(url) {
+      const { backend } = this.routing;
+      this.routing.backendUrls = {
+        ...this.routing.backendUrls,
+        [backend]: url?.trim() || ROUTING_BACKENDS[backend].defaultUrl
+      };
+      saveRoutingSettings({ backend, backendUrls: this.routing.backendUrls });
+    },
+
     setCurrentRoute(routeData) {
       this.routing.currentRoute = routeData;
     },
 
+    togglePickingCells() {
+      this.pickingCells = !this.pickingCells;
+      if (this.pickingCells) this.paintingCells = false;
+    },
+
+    togglePaintingCells() {
+      this.paintingCells = !this.paintingCells;
+      if (this.paintingCells) this.pickingCells = false;
+    },
+
+    /**
+     * Toggle a cell between visited and unvisited in the what-if simulation
+     * @param {number} i - Row index in the active grid
+     * @param {number} j - Column index in the active grid
+     */
+    paintCell(i, j) {
+      const data = this.levels[this.settings.gridLevel];
+      if (!data) return;
+
+      const key = `${i},${j}`;
+      const toggle = (keys) => keys.includes(key) ? keys.filter(k => k !== key) : [...keys, key];
+
+      if (data.visitedSet.has(key)) {
+        this.simulation = { ...this.simulation, removed: toggle(this.simulation.removed) };
+      } else {
+        this.simulation = { ...this.simulation, added: toggle(this.simulation.added) };
+      }
+      this.pinnedCells = this.pinnedCells.filter(k => k !== key);
+      this.applySimulation();
+    },
+
+    /**
+     * Drop all painted cells and go back to the real visited squares
+     */
+    resetSimulation() {
+      this.simulation = { added: [], removed: [] };
+      this.paintingCells = false;
+      this.applySimulation();
+    },
+
+    /**
+     * Combine the real visited set of the active level with the painted cells
+     * The Übersquadrat grows if the simulated squares complete a larger one and
+     * shrinks to the largest remaining one if a square inside it is painted unvisited.
+     */
+    applySimulation() {
+      const data = this.levels[this.settings.gridLevel];
+      if (!data) return;
+
+      const realBase = data.gridParams.baseSquare;
+      if (!this.simulationActive) {
+        this.setVisitedSet(data.visitedSet);
+        this.baseSquare = realBase;
+        return;
+      }
+
+      const visited = data.visitedSet.clone();
+      this.simulation.added.forEach(key => visited.add(key));
+      this.simulation.removed.forEach(key => visited.delete(key));
+      this.setVisitedSet(visited);
+
+      const largest = findLargestSquare(visited);
+      const largestBase = largest && { minI: largest.minI, maxI: largest.maxI, minJ: largest.minJ, maxJ: largest.maxJ };
+      const realBaseBroken = this.simulation.removed.some(key => {
+        const [i, j] = key.split(',').map(Number);
+        return i >= realBase.minI && i <= realBase.maxI && j >= realBase.minJ && j <= realBase.maxJ;
+      });
+      const realSize = realBase.maxI - realBase.minI + 1;
+      this.baseSquare = realBaseBroken || (largest && largest.size > realSize) ? largestBase : realBase;
+    },
+
+    /**
+     * Add a square to the proposal (pinned) or remove a proposed square
+     * Removed squares are kept out of later optimizations until released.
+     * Visited squares are ignored.
+     * @param {number} i - Row index in the active grid
+     * @param {number} j - Column index in the active grid
+     */
+    pickCell(i, j) {
+      const key = `${i},${j}`;
+      const current = candidatesFromMetadata(this.proposedMetadata);
+      let selected;
+
+      if (current.some(c => c.key === key)) {
+        selected = current.filter(c => c.key !== key);
+        this.pinnedCells = this.pinnedCells.filter(k => k !== key);
+        this.unpinnedCells = [...this.unpinnedCells, key];
+      } else {
+        if (this.visitedSet.has(key) || !this.baseSquare) return;
+
+        this.unpinnedCells = this.unpinnedCells.filter(k => k !== key);
+
+        // Scores of the last optimization; rescoring here would block the map on every click
+        const scored = toRaw(this.scoredCandidates);
+        selected = [...current, pinnedCandidate(i, j, scored, this.baseSquare, this.grid)];
+        this.pinnedCells = [...this.pinnedCells, key];
+      }
+
+      this.setProposedSquares(buildProposal(selected, this.grid));
+    },
+
+    clearPinnedCells() {
+      this.pinnedCells = [];
+    },
+
+    clearUnpinnedCells() {
+      this.unpinnedCells = [];
+    },
+
     setKmlFilename(filename) {
       this.kmlFilename = filename;
+      this.exclusionZones = loadExclusionZones(filename);
+    },
+
+    /**
+     * Start drawing an exclusion zone by clicking on the map
+     */
+    startZoneDraft() {
+      this.routing.selectingStartPoint = false;
+      this.zoneDraft = [];
+    },
+
+    addZoneDraftPoint(lat, lon) {
+      if (this.zoneDraft) {
+        this.zoneDraft = [...this.zoneDraft, [lat, lon]];
+      }
+    },
+
+    cancelZoneDraft() {
+      this.zoneDraft = null;
+    },
+
+    /**
+     * Turn the drawn outline into an exclusion zone
+     * @param {string} name - Zone name
+     */
+    finishZoneDraft(name) {
+      const zone = createExclusionZone(this.zoneDraft || [], name);
+      this.zoneDraft = null;
+      this.addExclusionZones([zone]);
+    },
+
+    /**
+     * Add exclusion zones and save them for the loaded file
+     * @param {Array} zones - Zones {id, name, polygons}
+     */
+    addExclusionZones(zones) {
+      this.exclusionZones = [...this.exclusionZones, ...zones];
+      saveExclusionZones(this.kmlFilename, this.exclusionZones);
+    },
+
+    removeExclusionZone(id) {
+      this.exclusionZones = this.exclusionZones.filter(zone => zone.id !== id);
+      saveExclusionZones(this.kmlFilename, this.exclusionZones);
     }
   }
 });
@@ -24,6 +24,10 @@ export default defineConfig({
       'Expires': '0'
     }
   },
+  // The planner worker is created with type: 'module' (see src/logic/planner-client.js)
+  worker: {
+    format: 'es'
+  },
   build: {
     // Add hash to filenames for cache busting in production
     rollupOptions: {